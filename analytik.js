@@ -16,21 +16,45 @@
         discordBotAvatar: "https://cdn.discordapp.com/embed/avatars/0.png",
         discordEmbedColor: 0x00d4aa,
         
+        // Transport Settings
+        sinks: [],
+        transports: {},
+        routes: [],
+        
         // Tracking Controls
         trackPageViews: true,
+        trackRouteChanges: true,
         trackClicks: true,
+        trackOutboundLinks: true,
+        internalDomains: [],
+        partnerDomains: [],
         trackScrolling: true,
         trackMouse: false,
         trackForms: true,
         trackGeolocation: false,
         trackPerformance: true,
+        trackResponsiveness: false,
+        trackResourceTiming: false,
+        resourceTimingLimit: 10,
+        resourceTimingOrigins: null,
+        resourceTimingSizeThreshold: 100000,
         trackErrors: true,
         trackUserBehavior: true,
         trackContent: true,
         trackSearch: true,
         trackEcommerce: false,
+        ecommerceCurrency: 'USD',
+        cartAbandonment: true,
+        cartAbandonmentTimeout: 1800000,
         trackMedia: true,
         trackDownloads: true,
+        downloadExtensions: [
+            'pdf', 'doc', 'docx', 'odt', 'rtf', 'txt', 'epub',
+            'xls', 'xlsx', 'ods', 'csv', 'ppt', 'pptx', 'odp', 'key',
+            'zip', 'rar', '7z', 'gz', 'tgz', 'tar', 'bz2',
+            'exe', 'msi', 'dmg', 'pkg', 'deb', 'rpm', 'apk', 'appimage',
+            'mp3', 'wav', 'flac', 'm4a', 'mp4', 'mov', 'avi', 'mkv', 'webm'
+        ],
         trackPrint: false,
         trackClipboard: false,
         
@@ -63,9 +87,16 @@
         
         // Performance & Behavior
         samplingRate: 1.0,
+        sessionTimeout: 1800000,
         batchSize: 10,
+        flushInterval: 2000,
         maxRetries: 3,
+        retryDelay: 1000,
+        maxRetryDelay: 60000,
+        deadLetterLimit: 100,
         offlineStorage: true,
+        offlineStorageTTL: 86400000,
+        offlineStorageMaxSize: 500,
         compressionEnabled: true,
         
         // Advanced Features
@@ -77,6 +108,14 @@
         
         // Discord Message Settings
         embedStyle: "rich",
+        embedStyleByEvent: {},
+        discordThreads: false,
+        sessionCard: false,
+        sessionCardEvents: ['page_view', 'click', 'scroll', 'page_visibility', 'journey_step'],
+        sessionCardInterval: 5000,
+        deliveryMode: "immediate",
+        deliveryModeByEvent: {},
+        digestInterval: 300000,
         includeTimestamps: true,
         includeUserAgent: true,
         includeReferrer: true,
@@ -90,8 +129,24 @@
         
         // Alert Thresholds
         alertOnErrors: true,
+        alertErrorThreshold: 5,
+        alertErrorWindow: 60000,
         alertOnHighTraffic: 1000,
         alertOnSuspiciousActivity: true,
+        alertCooldown: 900000,
+        alertMentions: { roles: [], users: [] },
+        responsivenessThresholds: { totalBlockingTime: 2000, worstDuration: 1000 },
+        groupErrors: true,
+        errorGroupInterval: 300000,
+        breadcrumbs: true,
+        breadcrumbLimit: 20,
+        // 'console' and 'network' wrap console, fetch and XHR, so like the error events they're opt-in
+        breadcrumbCategories: ['click', 'navigation', 'form'],
+        trackNetworkErrors: false,
+        trackConsoleErrors: false,
+        consoleLevels: ['error', 'warn'],
+        trackResourceErrors: true,
+        resourceErrorDelay: 5000,
         
         // Debugging
         debug: false,
@@ -110,16 +165,124 @@
         'Falcon', 'Lynx', 'Raven', 'Cobra', 'Viper', 'Jaguar', 'Puma', 'Cheetah', 'Leopard', 'Rhino'
     ];
 
+    // Events that are sent immediately and highlighted in compact messages
+    const PRIORITY_EVENTS = ['javascript_error', 'promise_rejection', 'network_error', 'console_error', 'error_group', 'suspicious_activity', 'fraud_detected', 'alert'];
+
+    // Used to tell the library's own stack frames apart from the site's
+    const SCRIPT_URL = document.currentScript ? document.currentScript.src : null;
+
+    // Good / poor boundaries for each Core Web Vital, as published on web.dev
+    const WEB_VITAL_THRESHOLDS = {
+        LCP: [2500, 4000],
+        CLS: [0.1, 0.25],
+        INP: [200, 500],
+        FCP: [1800, 3000],
+        TTFB: [800, 1800]
+    };
+
+    // Outbound links to these sites, or their subdomains, are classified as social
+    const SOCIAL_DOMAINS = [
+        'facebook.com', 'instagram.com', 'x.com', 'twitter.com', 'linkedin.com', 'youtube.com', 'tiktok.com',
+        'reddit.com', 'pinterest.com', 'threads.net', 'bsky.app', 'discord.gg', 'discord.com', 't.me', 'wa.me'
+    ];
+
+    // File type categories for download events, by extension and by MIME type
+    const DOWNLOAD_CATEGORIES = {
+        document: {
+            extensions: ['pdf', 'doc', 'docx', 'odt', 'rtf', 'txt', 'md', 'epub', 'pages'],
+            mimeTypes: [/^application\/pdf$/, /msword|wordprocessingml|opendocument\.text/, /^text\/plain$/, /epub/]
+        },
+        spreadsheet: {
+            extensions: ['xls', 'xlsx', 'ods', 'csv', 'tsv', 'numbers'],
+            mimeTypes: [/ms-excel|spreadsheetml|opendocument\.spreadsheet/, /^text\/(csv|tab-separated-values)$/]
+        },
+        presentation: {
+            extensions: ['ppt', 'pptx', 'odp', 'key'],
+            mimeTypes: [/ms-powerpoint|presentationml|opendocument\.presentation/]
+        },
+        archive: {
+            extensions: ['zip', 'rar', '7z', 'gz', 'tgz', 'tar', 'bz2', 'xz'],
+            mimeTypes: [/zip|x-rar|x-7z|x-tar|gzip|x-bzip2|x-xz/]
+        },
+        installer: {
+            extensions: ['exe', 'msi', 'dmg', 'pkg', 'deb', 'rpm', 'apk', 'appimage'],
+            mimeTypes: [/x-msdownload|x-msi|x-apple-diskimage|vnd\.debian\.binary-package|x-rpm|vnd\.android\.package-archive/]
+        },
+        audio: { extensions: ['mp3', 'wav', 'flac', 'm4a', 'ogg', 'aac'], mimeTypes: [/^audio\//] },
+        video: { extensions: ['mp4', 'mov', 'avi', 'mkv', 'webm', 'm4v'], mimeTypes: [/^video\//] },
+        image: { extensions: ['png', 'jpg', 'jpeg', 'gif', 'svg', 'webp', 'heic'], mimeTypes: [/^image\//] },
+        data: { extensions: ['json', 'xml', 'sql'], mimeTypes: [/^application\/(json|xml)$/] }
+    };
+
+    // Browsers cap keepalive and beacon bodies in flight at 64 KB per page. The rest is left for the session card's last edit.
+    const EXIT_REQUEST_BUDGET = 60 * 1024;
+
+    // Discord webhook message limits
+    const DISCORD_LIMITS = {
+        embedsPerMessage: 10,
+        totalCharacters: 6000,
+        title: 256,
+        description: 4096,
+        fields: 25,
+        fieldName: 256,
+        fieldValue: 1024,
+        footerText: 2048,
+        content: 2000
+    };
+
     class DiscordAnalytics {
         constructor(config = {}) {
             this.config = { ...DEFAULT_CONFIG, ...config };
             this.fingerprint = null;
             this.fingerprintLabel = null;
             this.eventQueue = [];
+            this.transports = new Map();
+            this.sinks = [];
+            this.addedSinkIds = new Set();
+            this.rateLimits = new Map();
+            this.sendChains = new Map();
+            this.exitBytes = 0;
+            this.deadLetters = [];
+            this.isFlushing = false;
+            this.flushTimer = null;
+            this.flushAt = 0;
+            this.threadRequests = new Map();
+            this.sessionCard = null;
+            this.sessionCardTimer = null;
+            this.sessionCardSync = Promise.resolve();
+            this.sessionCardSyncedAt = 0;
+            this.digests = new Map();
+            this.digestTimer = null;
+            this.alertState = null;
+            this.errorGroups = null;
+            this.errorGroupTimer = null;
+            this.breadcrumbs = [];
+            this.breadcrumbUrl = null;
+            this.networkInstrumented = false;
+            this.consoleInstrumented = false;
+            this.resourceErrors = null;
+            this.resourceErrorTimer = null;
+            this.hideReporters = [];
+            this.webVitals = null;
+            this.webVitalsReported = null;
+            this.responsiveness = null;
+            this.responsivenessReported = null;
+            this.routeResetters = [];
+            this.routeTimer = null;
+            this.routeChanges = 0;
+            this.mediaSessions = new Map();
+            this.cart = null;
+            this.cartAbandonmentTimer = null;
             this.isOnline = navigator.onLine;
-            this.sessionId = this.generateSessionId();
-            this.sessionStart = Date.now();
+            this.sessionId = null;
+            this.sessionStart = null;
+            this.sessionActivity = 0;
+            this.restoreSession();
             this.pageLoadTime = Date.now();
+            this.pageStartTime = Date.now();
+            this.routeUrl = window.location.href;
+            this.routePath = window.location.pathname;
+            this.routeKey = this.getRouteKey();
             this.userLocation = null;
             this.behaviorData = {
                 clicks: 0,
@@ -133,6 +296,12 @@
             this.funnels = new Map();
             this.botScore = 0;
             this.fraudScore = 0;
+            this.fraudMetrics = {
+                rapidSubmissions: 0,
+                suspiciousPatterns: 0,
+                locationChanges: 0,
+                deviceChanges: 0
+            };
             this.searchData = [];
             this.contentEngagement = new Map();
             this.networkProfile = {};
@@ -148,8 +317,10 @@
         }
 
         init() {
-            if (!this.config.webhook) {
-                this.log('Discord webhook URL is required', 'error');
+            this.initTransports();
+
+            if (this.sinks.length === 0) {
+                this.log('Discord webhook URL or at least one sink is required', 'error');
                 return;
             }
 
@@ -163,6 +334,10 @@
                 return;
             }
 
+            this.restoreOfflineEvents();
+            this.initBreadcrumbs();
+            this.initInstrumentation();
+
             this.generateFingerprint().then(() => {
             this.setupEventListeners();
                 this.startTracking();
@@ -419,23 +594,35 @@
             }
         }
 
+        openDatabase() {
+            if (!this.dbPromise) {
+                this.dbPromise = new Promise((resolve, reject) => {
+                    const request = indexedDB.open('DiscordAnalytics', 2);
+
+                    request.onupgradeneeded = (event) => {
+                        const db = event.target.result;
+                        if (!db.objectStoreNames.contains('fingerprints')) {
+                            db.createObjectStore('fingerprints', { keyPath: 'fingerprint' });
+                        }
+                        if (!db.objectStoreNames.contains('eventQueue')) {
+                            db.createObjectStore('eventQueue', { keyPath: 'id' });
+                        }
+                    };
+
+                    request.onsuccess = (event) => resolve(event.target.result);
+                    request.onerror = () => reject(request.error);
+                });
+            }
+
+            return this.dbPromise;
+        }
+
         async storeInIndexedDB(data) {
             try {
-                const request = indexedDB.open('DiscordAnalytics', 1);
-                
-                request.onupgradeneeded = (event) => {
-                    const db = event.target.result;
-                    if (!db.objectStoreNames.contains('fingerprints')) {
-                        db.createObjectStore('fingerprints', { keyPath: 'fingerprint' });
-                    }
-                };
-
-                request.onsuccess = (event) => {
-                    const db = event.target.result;
-                    const transaction = db.transaction(['fingerprints'], 'readwrite');
-                    const store = transaction.objectStore('fingerprints');
-                    store.put(data);
-                };
+                const db = await this.openDatabase();
+                const transaction = db.transaction(['fingerprints'], 'readwrite');
+                const store = transaction.objectStore('fingerprints');
+                store.put(data);
             } catch (e) {
                 // IndexedDB not available
             }
@@ -509,15 +696,40 @@
         setupEventListeners() {
             // Page visibility
             document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') {
+                    this.reportOnHide('page_hidden');
+                    // Mobile browsers often freeze or discard a hidden page without a pagehide, so the final numbers go out now
+                    this.flushQueueOnExit();
+                }
+                // Earlier exit requests are done by the time the page is back, so their share of the budget is free again
+                if (document.visibilityState === 'visible') this.exitBytes = 0;
                 this.trackPageVisibility();
             });
 
-            // Page unload
+            // Page unload. Sessions span page loads, so an unload isn't the end of one and sends no session_end.
             window.addEventListener('beforeunload', () => {
                 this.endSession();
-                this.trackPageExit();
             });
 
+            window.addEventListener('pagehide', () => {
+                this.reportOnHide('page_exit');
+                this.flushResourceErrors();
+                this.flushErrorGroups();
+                this.flushDigests();
+                this.flushQueueOnExit();
+                this.flushSessionCard();
+            });
+
+            // Single-page app route changes
+            if (this.config.trackPageViews && this.config.trackRouteChanges) {
+                this.initRouteTracking();
+            }
+
+            // Cart abandonment
+            if (this.config.trackEcommerce && this.config.cartAbandonment) {
+                this.initCartAbandonment();
+            }
+
             // Online/offline status
             window.addEventListener('online', () => {
                 this.isOnline = true;
@@ -535,6 +747,12 @@
                 });
             }
 
+            if (this.config.trackOutboundLinks) {
+                document.addEventListener('click', (e) => {
+                    this.trackOutboundClick(e);
+                });
+            }
+
             // Scroll tracking
             if (this.config.trackScrolling) {
                 let scrollTimeout;
@@ -568,13 +786,41 @@
                 window.addEventListener('unhandledrejection', (e) => {
                     this.trackPromiseRejection(e);
                 });
+
+                // Failed <img>, <script> and <link> loads don't bubble, so they're only seen while capturing
+                if (this.config.trackResourceErrors) {
+                    window.addEventListener('error', (e) => {
+                        this.trackResourceError(e);
+                    }, true);
+                }
             }
 
             // Performance tracking
             if (this.config.trackPerformance) {
-                window.addEventListener('load', () => {
-                    this.trackPerformance();
-                });
+                // loadEventEnd is only set once every load handler has finished
+                if (document.readyState === 'complete') {
+                    setTimeout(() => this.trackPerformance(), 0);
+                } else {
+                    window.addEventListener('load', () => {
+                        setTimeout(() => this.trackPerformance(), 0);
+                    });
+                }
+
+                this.initWebVitals();
+            }
+
+            if (this.config.trackResponsiveness) {
+                this.initResponsiveness();
+            }
+
+            if (this.config.trackResourceTiming) {
+                if (document.readyState === 'complete') {
+                    setTimeout(() => this.trackResourceTiming(), 0);
+                } else {
+                    window.addEventListener('load', () => {
+                        setTimeout(() => this.trackResourceTiming(), 0);
+                    });
+                }
             }
 
             // Media tracking
@@ -624,7 +870,7 @@
         }
 
         // Tracking Methods
-        trackPageView() {
+        trackPageView(details = {}) {
             const event = {
                 type: 'page_view',
                 url: window.location.href,
@@ -635,7 +881,8 @@
                 sessionId: this.sessionId,
                 userAgent: navigator.userAgent,
                 viewport: `${window.innerWidth}x${window.innerHeight}`,
-                location: this.userLocation
+                location: this.userLocation,
+                ...details
             };
 
             this.sendEvent(event);
@@ -671,6 +918,80 @@
             this.sendEvent(clickData);
         }
 
+        trackOutboundClick(event) {
+            if (!(event.target instanceof Element)) return;
+
+            const link = event.target.closest('a[href], area[href]');
+            if (!link || this.isExcludedElement(link)) return;
+
+            let url;
+            try {
+                url = new URL(link.href, window.location.href);
+            } catch (e) {
+                return;
+            }
+
+            const classification = this.classifyOutboundLink(url);
+            if (!classification) return;
+
+            const text = (link.textContent || '').replace(/\s+/g, ' ').trim() ||
+                link.getAttribute('aria-label') || link.title || link.querySelector?.('img[alt]')?.alt || '';
+
+            // Addresses and phone numbers are contact details, so only the mail domain is kept
+            const outboundEvent = {
+                type: 'outbound_click',
+                link: {
+                    url: url.protocol === 'mailto:' || url.protocol === 'tel:' ? null : this.sanitizeUrl(url.href),
+                    domain: url.protocol === 'mailto:' ? (url.pathname.split('@')[1] || '').toLowerCase() || null : url.hostname || null,
+                    text: this.truncateText(text, 100),
+                    classification: classification,
+                    newTab: link.target === '_blank'
+                },
+                timestamp: Date.now(),
+                fingerprint: this.fingerprintLabel,
+                sessionId: this.sessionId,
+                page: window.location.pathname
+            };
+
+            this.sendEvent(outboundEvent);
+
+            // Leaving in this tab unloads the page before the next flush, so hand the queue to the exit delivery now
+            const leavesPage = (url.protocol === 'http:' || url.protocol === 'https:') &&
+                !event.defaultPrevented && event.button === 0 &&
+                !(event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) &&
+                (!link.target || link.target === '_self' || link.target === '_top' || link.target === '_parent');
+
+            if (leavesPage) this.flushQueueOnExit();
+        }
+
+        // Returns null for links that stay on the site
+        classifyOutboundLink(url) {
+            if (url.protocol === 'mailto:') return 'mailto';
+            if (url.protocol === 'tel:') return 'tel';
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+
+            if (url.origin === window.location.origin || this.matchesDomain(url.hostname, this.config.internalDomains)) {
+                return null;
+            }
+
+            if (this.matchesDomain(url.hostname, this.config.partnerDomains)) return 'partner';
+            if (this.matchesDomain(url.hostname, SOCIAL_DOMAINS)) return 'social';
+            return 'external';
+        }
+
+        // Plain domains also match their subdomains, patterns like "*.example.*" and RegExps match the hostname as is
+        matchesDomain(hostname, domains = []) {
+            const host = hostname.toLowerCase().replace(/^www\./, '');
+
+            return (domains || []).some(domain => {
+                if (typeof domain === 'string' && !domain.includes('*')) {
+                    const plain = domain.toLowerCase().replace(/^www\./, '');
+                    return host === plain || host.endsWith(`.${plain}`);
+                }
+                return this.matchesPattern(hostname, domain);
+            });
+        }
+
         trackScroll() {
             const scrollPercent = Math.round(
                 (window.scrollY / (document.documentElement.scrollHeight - window.innerHeight)) * 100
@@ -726,6 +1047,7 @@
         }
 
         trackError(event) {
+            const stack = event.error?.stack;
             const errorData = {
                 type: 'javascript_error',
                 error: {
@@ -733,7 +1055,8 @@
                     filename: event.filename,
                     lineno: event.lineno,
                     colno: event.colno,
-                    stack: event.error?.stack?.substring(0, 500)
+                    stack: stack?.substring(0, 500),
+                    frames: this.parseStack(stack)
                 },
                 timestamp: Date.now(),
                 fingerprint: this.fingerprintLabel,
@@ -742,24 +1065,26 @@
                 userAgent: navigator.userAgent
             };
 
-            this.sendEvent(errorData, true); // High priority
+            this.reportError(errorData);
         }
 
         trackPerformance() {
-            if (!performance.timing) return;
+            const navigation = performance.getEntriesByType ? performance.getEntriesByType('navigation')[0] : null;
 
-            const timing = performance.timing;
-            const navigation = performance.getEntriesByType('navigation')[0];
+            // Navigation Timing Level 2 is relative to the navigation start, the deprecated performance.timing is epoch based
+            const timing = navigation || performance.timing;
+            if (!timing) return;
+            const start = navigation ? 0 : timing.navigationStart;
 
             const performanceData = {
                 type: 'performance',
                 metrics: {
-                    loadTime: timing.loadEventEnd - timing.navigationStart,
-                    domReady: timing.domContentLoadedEventEnd - timing.navigationStart,
-                    firstByte: timing.responseStart - timing.navigationStart,
-                    dns: timing.domainLookupEnd - timing.domainLookupStart,
-                    tcp: timing.connectEnd - timing.connectStart,
-                    ssl: timing.secureConnectionStart ? timing.connectEnd - timing.secureConnectionStart : 0
+                    loadTime: Math.round(timing.loadEventEnd - start),
+                    domReady: Math.round(timing.domContentLoadedEventEnd - start),
+                    firstByte: Math.round(timing.responseStart - start),
+                    dns: Math.round(timing.domainLookupEnd - timing.domainLookupStart),
+                    tcp: Math.round(timing.connectEnd - timing.connectStart),
+                    ssl: timing.secureConnectionStart ? Math.round(timing.connectEnd - timing.secureConnectionStart) : 0
                 },
                 navigation: navigation ? {
                     type: navigation.type,
@@ -771,270 +1096,2766 @@
                 page: window.location.pathname
             };
 
-            // Core Web Vitals if available
-            if (window.PerformanceObserver) {
-                try {
-                    new PerformanceObserver((list) => {
-                        for (const entry of list.getEntries()) {
-                            if (entry.entryType === 'largest-contentful-paint') {
-                                performanceData.metrics.lcp = entry.startTime;
-                            }
-                            if (entry.entryType === 'first-input') {
-                                performanceData.metrics.fid = entry.processingStart - entry.startTime;
-                            }
-                            if (entry.entryType === 'layout-shift' && !entry.hadRecentInput) {
-                                performanceData.metrics.cls = (performanceData.metrics.cls || 0) + entry.value;
-                            }
-                        }
-                    }).observe({ entryTypes: ['largest-contentful-paint', 'first-input', 'layout-shift'] });
-                } catch (e) {
-                    // Performance Observer not supported
-                }
-            }
-
             this.sendEvent(performanceData);
         }
 
-        // Discord Integration
-        async sendEvent(eventData, priority = false) {
-            if (!this.shouldSendEvent(eventData)) return;
+        // Reporters that need the page's final numbers run when it's hidden, before the exit flush.
+        // The reason is 'page_hidden' for a hidden tab, which can still come back, 'page_exit' or 'route_change'.
+        reportOnHide(reason) {
+            this.hideReporters.forEach(report => report(reason));
+        }
 
-            const embed = this.createDiscordEmbed(eventData);
-            
-            if (priority || this.isOnline) {
-                await this.sendToDiscord(embed);
-            } else {
-                this.queueEvent(embed);
+        observePerformance(type, callback, options = {}) {
+            if (!window.PerformanceObserver) return null;
+
+            try {
+                const supported = PerformanceObserver.supportedEntryTypes;
+                if (supported && !supported.includes(type)) return null;
+
+                const observer = new PerformanceObserver(list => callback(list.getEntries()));
+                observer.observe({ type, buffered: true, ...options });
+                return observer;
+            } catch (e) {
+                // Performance Observer not supported
+                return null;
             }
         }
 
-        createDiscordEmbed(eventData) {
-            const embed = {
-                title: this.getEventTitle(eventData),
-                color: this.getEventColor(eventData),
-                timestamp: new Date(eventData.timestamp).toISOString(),
-                fields: this.getEventFields(eventData),
-                footer: {
-                    text: `${this.config.discordBotName} • ${eventData.fingerprint}`
-                }
-            };
+        // Web Vitals
+        // Collected over the page's lifetime and reported as one web_vitals event when the page is hidden
+        initWebVitals() {
+            if (!window.PerformanceObserver) return;
 
-            if (eventData.location && this.config.includeMapLinks) {
-                embed.fields.unshift({
-                    name: "Location",
-                    value: `[View on Map](https://www.google.com/maps?q=${eventData.location.latitude},${eventData.location.longitude})`,
-                    inline: true
-                });
+            this.webVitals = {};
+            this.hideReporters.push(() => this.reportWebVitals());
+
+            const navigation = performance.getEntriesByType ? performance.getEntriesByType('navigation')[0] : null;
+            if (navigation) {
+                this.setWebVital('TTFB', Math.max(navigation.responseStart - (navigation.activationStart || 0), 0));
             }
 
-            return embed;
-        }
+            this.observePerformance('paint', entries => {
+                const fcp = entries.find(entry => entry.name === 'first-contentful-paint');
+                if (fcp) this.setWebVital('FCP', fcp.startTime);
+            });
 
-        getEventTitle(eventData) {
-            const titles = {
-                'page_view': '# PAGE VIEW',
-                'click': '# CLICK EVENT',
-                'scroll': '# SCROLL EVENT',
-                'form_submission': '# FORM SUBMISSION',
-                'javascript_error': '# ERROR EVENT',
-                'performance': '# PERFORMANCE',
-                'session_start': '# SESSION STARTED',
-                'session_end': '# SESSION ENDED',
-                'ab_test_created': '# A/B TEST CREATED',
-                'ab_test_conversion': '# A/B TEST CONVERSION',
-                'funnel_created': '# FUNNEL CREATED',
-                'funnel_step': '# FUNNEL STEP',
-                'funnel_completed': '# FUNNEL COMPLETED',
-                'bot_detected': '# BOT DETECTED',
-                'fraud_detected': '# FRAUD DETECTED',
-                'search_input': '# SEARCH INPUT',
-                'search_submission': '# SEARCH SUBMISSION',
-                'content_view': '# CONTENT VIEW',
-                'reading_progress': '# READING PROGRESS',
-                'content_engagement': '# CONTENT ENGAGEMENT',
-                'network_profile': '# NETWORK PROFILE',
-                'journey_step': '# JOURNEY STEP',
-                'session_replay': '# SESSION REPLAY'
+            // Like the browser, stop updating LCP once the visitor interacts
+            let lcpFinal = false;
+            ['keydown', 'pointerdown'].forEach(type => {
+                window.addEventListener(type, () => { lcpFinal = true; }, { once: true, capture: true });
+            });
+
+            this.observePerformance('largest-contentful-paint', entries => {
+                const entry = entries[entries.length - 1];
+                if (lcpFinal || !entry) return;
+
+                this.setWebVital('LCP', entry.startTime, {
+                    element: entry.element ? this.getElementPath(entry.element) : (entry.url || null)
+                });
+            });
+
+            // CLS is the largest session window: shifts less than 1s apart, at most 5s long
+            let session = { value: 0, entries: [] };
+            const clsObserver = this.observePerformance('layout-shift', entries => {
+                entries.forEach(entry => {
+                    if (entry.hadRecentInput) return;
+
+                    const first = session.entries[0];
+                    const last = session.entries[session.entries.length - 1];
+                    if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+                        session.value += entry.value;
+                        session.entries.push(entry);
+                    } else {
+                        session = { value: entry.value, entries: [entry] };
+                    }
+
+                    if (session.value > this.webVitals.CLS.value) {
+                        const largest = session.entries.reduce((max, shift) => (shift.value > max.value ? shift : max));
+                        const node = (largest.sources || []).map(source => source.node).find(Boolean);
+                        this.setWebVital('CLS', session.value, { element: node instanceof Element ? this.getElementPath(node) : null });
+                    }
+                });
+            });
+            if (clsObserver) this.setWebVital('CLS', 0);
+
+            // INP is the 98th percentile interaction: the longest, skipping one for every 50 interactions
+            const interactions = new Map();
+            const interactionIds = new Set();
+            const handleInteractions = entries => {
+                entries.forEach(entry => {
+                    if (!entry.interactionId) return;
+
+                    interactionIds.add(entry.interactionId);
+                    const current = interactions.get(entry.interactionId);
+                    if (!current || entry.duration > current.duration) {
+                        interactions.set(entry.interactionId, entry);
+                    }
+                });
+
+                // Only the longest 10 can ever be the INP candidate
+                const longest = [...interactions.values()].sort((a, b) => b.duration - a.duration).slice(0, 10);
+                interactions.clear();
+                longest.forEach(entry => interactions.set(entry.interactionId, entry));
+
+                const candidate = longest[Math.min(Math.floor(interactionIds.size / 50), longest.length - 1)];
+                if (candidate) {
+                    this.setWebVital('INP', candidate.duration, {
+                        element: candidate.target instanceof Element ? this.getElementPath(candidate.target) : null,
+                        eventType: candidate.name
+                    });
+                }
             };
 
-            const title = titles[eventData.type] || `# ${eventData.type.toUpperCase()}`;
-            return `${title}, **${eventData.fingerprint}**`;
+            this.observePerformance('event', handleInteractions, { durationThreshold: 40 });
+            this.observePerformance('first-input', handleInteractions);
+
+            // A route change has no load of its own, so only CLS and INP start over for it
+            this.routeResetters.push(() => {
+                lcpFinal = true;
+                session = { value: 0, entries: [] };
+                interactions.clear();
+                interactionIds.clear();
+                this.webVitals = {};
+                if (clsObserver) this.setWebVital('CLS', 0);
+                this.webVitalsReported = JSON.stringify(this.webVitals);
+            });
         }
 
-        getButtonStyle(style) {
-            const styleMap = {
-                primary: 1,   // Blue
-                secondary: 2, // Grey
-                success: 3,   // Green
-                danger: 4,    // Red
-                link: 5       // Link
+        setWebVital(name, value, attribution = {}) {
+            this.webVitals[name] = {
+                value: name === 'CLS' ? Math.round(value * 1000) / 1000 : Math.round(value),
+                rating: this.rateWebVital(name, value),
+                ...attribution
             };
-            return styleMap[style] || 2;
         }
 
-        getEventColor(eventData) {
-            const colors = {
-                'page_view': 0x3498db,
-                'click': 0x2ecc71,
-                'scroll': 0x9b59b6,
-                'form_submission': 0xe67e22,
-                'javascript_error': 0xe74c3c,
-                'performance': 0xf39c12,
-                'session_start': 0x1abc9c,
-                'session_end': 0x95a5a6
-            };
+        rateWebVital(name, value) {
+            const [good, poor] = WEB_VITAL_THRESHOLDS[name];
+            if (value <= good) return 'good';
+            return value <= poor ? 'needs-improvement' : 'poor';
+        }
+
+        // Reported again on a later hide only if a metric changed in between
+        reportWebVitals() {
+            if (!this.webVitals || Object.keys(this.webVitals).length === 0) return;
 
-            return colors[eventData.type] || this.config.discordEmbedColor;
+            const snapshot = JSON.stringify(this.webVitals);
+            if (snapshot === this.webVitalsReported) return;
+            this.webVitalsReported = snapshot;
+
+            const navigation = performance.getEntriesByType ? performance.getEntriesByType('navigation')[0] : null;
+
+            this.sendEvent({
+                type: 'web_vitals',
+                vitals: JSON.parse(snapshot),
+                navigationType: this.routeChanges > 0 ? 'route_change' : (navigation ? navigation.type : null),
+                timestamp: Date.now(),
+                fingerprint: this.fingerprintLabel,
+                sessionId: this.sessionId,
+                page: this.routePath
+            });
         }
 
-        getEventFields(eventData) {
-            const fields = [];
+        // Responsiveness
+        // Long tasks and long animation frames are summed up per page and reported at page hide
+        initResponsiveness() {
+            const createStats = () => ({
+                longTasks: { count: 0, totalBlockingTime: 0, worst: 0, source: null },
+                longAnimationFrames: { count: 0, totalBlockingTime: 0, worst: 0, source: null },
+                scripts: {}
+            });
 
-            switch (eventData.type) {
-                case 'page_view':
-                    fields.push(
-                        { name: "🌐 URL", value: eventData.url, inline: false },
-                        { name: "📄 Title", value: eventData.title || 'No title', inline: true },
-                        { name: "🔗 Referrer", value: eventData.referrer || 'Direct', inline: true },
-                        { name: "📱 Viewport", value: eventData.viewport, inline: true }
-                    );
-                    break;
+            this.responsiveness = createStats();
+            this.hideReporters.push(() => this.reportResponsiveness());
+            this.routeResetters.push(() => {
+                this.responsiveness = createStats();
+                this.responsivenessReported = null;
+            });
 
-                case 'click':
-                    fields.push(
-                        { name: "🎯 Element", value: `${eventData.element.tag}${eventData.element.id ? '#' + eventData.element.id : ''}`, inline: true },
-                        { name: "📝 Text", value: eventData.element.text?.substring(0, 100) || 'No text', inline: true },
-                        { name: "📍 Position", value: `${eventData.element.position.x}, ${eventData.element.position.y}`, inline: true }
-                    );
-                    if (eventData.element.href) {
-                        fields.push({ name: "🔗 Link", value: eventData.element.href, inline: false });
+            this.observePerformance('longtask', entries => {
+                const stats = this.responsiveness.longTasks;
+
+                entries.forEach(entry => {
+                    stats.count++;
+                    stats.totalBlockingTime += Math.max(entry.duration - 50, 0);
+
+                    if (entry.duration > stats.worst) {
+                        // Long tasks only attribute to a frame, which is only useful for iframes
+                        const attribution = (entry.attribution || [])[0];
+                        stats.worst = entry.duration;
+                        stats.source = attribution && attribution.containerSrc ? this.sanitizeUrl(attribution.containerSrc) : null;
                     }
-                    break;
+                });
+            });
 
-                case 'scroll':
-                    fields.push(
-                        { name: "📊 Depth", value: `${eventData.depth}%`, inline: true },
-                        { name: "📄 Page", value: eventData.page, inline: true }
-                    );
-                    break;
+            this.observePerformance('long-animation-frame', entries => {
+                const stats = this.responsiveness.longAnimationFrames;
 
-                case 'form_submission':
-                    fields.push(
-                        { name: "📝 Form ID", value: eventData.form.id || 'No ID', inline: true },
-                        { name: "🔢 Fields", value: eventData.form.fieldCount.toString(), inline: true },
-                        { name: "🎯 Action", value: eventData.form.action || 'No action', inline: true }
-                    );
-                    break;
+                entries.forEach(entry => {
+                    const scripts = (entry.scripts || []).filter(script => script.sourceURL);
 
-                case 'javascript_error':
-                    fields.push(
-                        { name: "❌ Message", value: eventData.error.message.substring(0, 100), inline: false },
-                        { name: "📁 File", value: eventData.error.filename || 'Unknown', inline: true },
-                        { name: "📍 Line", value: `${eventData.error.lineno}:${eventData.error.colno}`, inline: true }
-                    );
-                    break;
+                    stats.count++;
+                    stats.totalBlockingTime += entry.blockingDuration || 0;
 
-                case 'performance':
-                    fields.push(
+                    scripts.forEach(script => {
+                        const url = this.sanitizeUrl(script.sourceURL);
+                        this.responsiveness.scripts[url] = (this.responsiveness.scripts[url] || 0) + script.duration;
+                    });
+
+                    if (entry.duration > stats.worst) {
+                        const top = scripts.reduce((max, script) => (!max || script.duration > max.duration ? script : max), null);
+                        stats.worst = entry.duration;
+                        stats.source = top ? `${this.sanitizeUrl(top.sourceURL)}${top.invoker ? ` (${top.invoker})` : ''}` : null;
+                    }
+                });
+            });
+        }
+
+        reportResponsiveness() {
+            const stats = this.responsiveness;
+            if (!stats || (stats.longTasks.count === 0 && stats.longAnimationFrames.count === 0)) return;
+
+            const round = ({ count, totalBlockingTime, worst, source }) => ({
+                count,
+                totalBlockingTime: Math.round(totalBlockingTime),
+                worst: Math.round(worst),
+                source
+            });
+
+            const responsiveness = {
+                longTasks: round(stats.longTasks),
+                longAnimationFrames: round(stats.longAnimationFrames),
+                scripts: Object.entries(stats.scripts)
+                    .sort((a, b) => b[1] - a[1])
+                    .slice(0, 5)
+                    .map(([url, duration]) => ({ url, duration: Math.round(duration) }))
+            };
+
+            const snapshot = JSON.stringify(responsiveness);
+            if (snapshot === this.responsivenessReported) return;
+            this.responsivenessReported = snapshot;
+
+            const event = {
+                type: 'responsiveness',
+                responsiveness: responsiveness,
+                timestamp: Date.now(),
+                fingerprint: this.fingerprintLabel,
+                sessionId: this.sessionId,
+                page: this.routePath
+            };
+
+            this.sendEvent(event);
+
+            const thresholds = this.config.responsivenessThresholds || {};
+            const totalBlockingTime = Math.max(responsiveness.longTasks.totalBlockingTime, responsiveness.longAnimationFrames.totalBlockingTime);
+            const worst = Math.max(responsiveness.longTasks.worst, responsiveness.longAnimationFrames.worst);
+
+            if ((thresholds.totalBlockingTime && totalBlockingTime >= thresholds.totalBlockingTime) ||
+                (thresholds.worstDuration && worst >= thresholds.worstDuration)) {
+                this.raiseAlert('responsiveness', {
+                    totalBlockingTime,
+                    worst,
+                    source: responsiveness.longAnimationFrames.source || responsiveness.longTasks.source
+                }, event);
+            }
+        }
+
+        // Resource Timing
+        // transferSize is 0 for cross-origin resources served without Timing-Allow-Origin
+        trackResourceTiming() {
+            if (!performance.getEntriesByType) return;
+
+            const origins = this.config.resourceTimingOrigins;
+            const resources = performance.getEntriesByType('resource')
+                .filter(entry => !this.isOwnRequest(entry.name))
+                .map(entry => {
+                    let origin = window.location.origin;
+                    try {
+                        origin = new URL(entry.name, window.location.href).origin;
+                    } catch (e) {
+                        // Keep the page's origin for unparsable URLs
+                    }
+
+                    return {
+                        url: this.sanitizeUrl(entry.name),
+                        origin: origin,
+                        initiatorType: entry.initiatorType || 'other',
+                        duration: Math.round(entry.duration),
+                        transferSize: entry.transferSize || 0
+                    };
+                })
+                .filter(resource => !origins || origins.some(pattern => this.matchesPattern(resource.origin, pattern)));
+
+            if (resources.length === 0) return;
+
+            const limit = this.config.resourceTimingLimit;
+            const sumBy = key => resources.reduce((totals, resource) => {
+                const total = totals[resource[key]] || (totals[resource[key]] = { count: 0, transferSize: 0 });
+                total.count++;
+                total.transferSize += resource.transferSize;
+                return totals;
+            }, {});
+            const pick = ({ url, initiatorType, duration, transferSize }) => ({ url, initiatorType, duration, transferSize });
+
+            this.sendEvent({
+                type: 'resource_timing',
+                resources: {
+                    count: resources.length,
+                    transferSize: resources.reduce((sum, resource) => sum + resource.transferSize, 0),
+                    slowest: [...resources].sort((a, b) => b.duration - a.duration).slice(0, limit).map(pick),
+                    large: resources
+                        .filter(resource => resource.transferSize >= this.config.resourceTimingSizeThreshold)
+                        .sort((a, b) => b.transferSize - a.transferSize)
+                        .slice(0, limit)
+                        .map(pick),
+                    byInitiator: sumBy('initiatorType'),
+                    byOrigin: sumBy('origin')
+                },
+                sizeThreshold: this.config.resourceTimingSizeThreshold,
+                timestamp: Date.now(),
+                fingerprint: this.fingerprintLabel,
+                sessionId: this.sessionId,
+                page: window.location.pathname
+            });
+        }
+
+        formatBytes(bytes) {
+            if (bytes >= 1000000) return `${(bytes / 1000000).toFixed(1)} MB`;
+            if (bytes >= 1000) return `${Math.round(bytes / 1000)} KB`;
+            return `${bytes} B`;
+        }
+
+        getResourceTimingFields(resources, sizeThreshold) {
+            const formatTotals = totals => Object.entries(totals)
+                .sort((a, b) => b[1].transferSize - a[1].transferSize)
+                .slice(0, 10)
+                .map(([key, total]) => `\`${this.formatBytes(total.transferSize)}\` ${key} (${total.count})`)
+                .join('\n');
+
+            const fields = [
+                { name: "📦 Total", value: `${resources.count} resources · ${this.formatBytes(resources.transferSize)}`, inline: false },
+                {
+                    name: "🐢 Slowest",
+                    value: resources.slowest.map(resource => `\`${resource.duration}ms\` ${resource.initiatorType} ${resource.url}`).join('\n'),
+                    inline: false
+                },
+                { name: "🧩 By Type", value: formatTotals(resources.byInitiator), inline: true },
+                { name: "🌍 By Origin", value: formatTotals(resources.byOrigin), inline: true }
+            ];
+
+            if (resources.large.length > 0) {
+                fields.push({
+                    name: `🏋️ Over ${this.formatBytes(sizeThreshold)}`,
+                    value: resources.large.map(resource => `\`${this.formatBytes(resource.transferSize)}\` ${resource.url}`).join('\n'),
+                    inline: false
+                });
+            }
+
+            return fields;
+        }
+
+        formatWebVital(name, metric) {
+            const icons = { good: '🟢', 'needs-improvement': '🟡', poor: '🔴' };
+            const value = name === 'CLS' ? metric.value.toFixed(3) : `${metric.value}ms`;
+            const lines = [`${icons[metric.rating]} ${value}`];
+
+            if (metric.element) lines.push(`\`${metric.element}\``);
+            return lines.join('\n');
+        }
+
+        // Transport Layer
+        async sendEvent(eventData, priority = false) {
+            // The event was built before the idle check, so it moves to the new session along with the tab
+            const previousSession = this.sessionId;
+            this.touchSession();
+            if (eventData.sessionId === previousSession) eventData.sessionId = this.sessionId;
+
+            if (this.isExcludedEvent(eventData)) return;
+
+            // Alerts count every event and are never sampled out, so sampling doesn't delay or hide a threshold
+            this.checkAlerts(eventData);
+            if (eventData.type !== 'alert' && Math.random() > this.config.samplingRate) return;
+
+            let sinks = this.getSinksForEvent(eventData, priority);
+
+            // Low-value events fold into the live session card instead of posting their own Discord messages
+            if (this.isSessionCardEvent(eventData, priority)) {
+                const cardSinks = sinks.filter(sink => sink.type === 'discord');
+                if (cardSinks.length > 0) {
+                    this.updateSessionCard(eventData, cardSinks);
+                    sinks = sinks.filter(sink => sink.type !== 'discord');
+                }
+            }
+
+            // Digested events are summarized for Discord later, other sinks still get them as they happen
+            if (this.getDeliveryMode(eventData) === 'digest') {
+                const digestSinks = sinks.filter(sink => sink.type === 'discord');
+                if (digestSinks.length > 0) {
+                    this.addToDigest(eventData, digestSinks);
+                    sinks = sinks.filter(sink => sink.type !== 'discord');
+                }
+            }
+
+            // Priority events skip the queue, everything else is batched on the next flush
+            await Promise.all(sinks.map(sink => {
+                if (priority) {
+                    return this.deliver(sink, [this.createQueueEntry(sink, eventData)]);
+                }
+                this.queueEvent(sink, eventData);
+            }));
+        }
+
+        initTransports() {
+            this.registerTransport('discord', {
+                send: (events, sink) => this.sendToDiscord(events, sink),
+                beacon: (events, sink) => this.beaconToDiscord(events, sink),
+                pack: (entries, sink) => this.packDiscordEmbeds(entries, sink)
+            });
+
+            this.registerTransport('http', {
+                send: (events, sink) => this.sendToCollector(events, sink),
+                beacon: (events, sink) => this.beaconToCollector(events, sink)
+            });
+
+            Object.entries(this.config.transports || {}).forEach(([type, transport]) => {
+                this.registerTransport(type, transport);
+            });
+
+            this.sinks = this.createSinks();
+        }
+
+        registerTransport(type, transport) {
+            if (!transport || typeof transport.send !== 'function') {
+                this.log(`Transport "${type}" must implement send(events, sink)`, 'error');
+                return;
+            }
+
+            this.transports.set(type, transport);
+        }
+
+        createSinks() {
+            const sinks = [];
+
+            // Routed webhooks take the events they match away from the default webhook
+            (this.config.routes || []).forEach((route, index) => {
+                sinks.push({
+                    type: 'discord',
+                    id: route.id || `route:${index}`,
+                    url: route.webhook,
+                    route: route,
+                    discordBotName: route.discordBotName,
+                    discordBotAvatar: route.discordBotAvatar,
+                    discordEmbedColor: route.discordEmbedColor,
+                    threads: route.threads
+                });
+            });
+
+            // The configured webhook is the built-in Discord sink and the routing fallback
+            if (this.config.webhook) {
+                sinks.push({ type: 'discord', url: this.config.webhook, fallback: true });
+            }
+
+            (this.config.sinks || []).forEach(sink => {
+                sinks.push({ ...sink });
+            });
+
+            return sinks.map((sink, index) => ({
+                ...sink,
+                id: sink.id || `${sink.type}:${sink.url || index}`
+            }));
+        }
+
+        addSink(sink) {
+            const normalized = { ...sink, id: sink.id || `${sink.type}:${sink.url || this.sinks.length}` };
+            this.sinks.push(normalized);
+            this.addedSinkIds.add(normalized.id);
+            return normalized.id;
+        }
+
+        removeSink(sinkId) {
+            this.sinks = this.sinks.filter(sink => sink.id !== sinkId);
+            this.addedSinkIds.delete(sinkId);
+        }
+
+        // Rebuilds the configured sinks, keeping the ones added with addSink()
+        refreshSinks() {
+            const added = this.sinks.filter(sink => this.addedSinkIds.has(sink.id));
+            const configured = this.createSinks().filter(sink => !this.addedSinkIds.has(sink.id));
+            this.sinks = [...configured, ...added];
+        }
+
+        getSinksForEvent(eventData, priority = false) {
+            const severity = this.getEventSeverity(eventData, priority);
+            const route = this.sinks.find(sink => sink.route && this.routeMatches(sink.route, eventData, severity));
+
+            return this.sinks.filter(sink => {
+                if (sink.route) return sink === route;
+                if (sink.fallback && route) return false;
+                return this.sinkAccepts(sink, eventData);
+            });
+        }
+
+        getEventSeverity(eventData, priority = false) {
+            return priority || PRIORITY_EVENTS.includes(eventData.type) ? 'high' : 'normal';
+        }
+
+        routeMatches(route, eventData, severity) {
+            if (route.events && !route.events.some(pattern => this.matchesPattern(eventData.type, pattern))) {
+                return false;
+            }
+
+            if (route.pages) {
+                const page = eventData.page || this.getUrlPath(eventData.url || window.location.href).split('?')[0];
+                if (!route.pages.some(pattern => this.matchesPattern(page, pattern))) return false;
+            }
+
+            if (route.severity) {
+                const severities = Array.isArray(route.severity) ? route.severity : [route.severity];
+                if (!severities.includes(severity)) return false;
+            }
+
+            return true;
+        }
+
+        sinkAccepts(sink, eventData) {
+            if (!sink.events) return true;
+            return sink.events.some(pattern => this.matchesPattern(eventData.type, pattern));
+        }
+
+        matchesPattern(value, pattern) {
+            if (pattern instanceof RegExp) return pattern.test(value);
+            if (typeof pattern === 'function') return !!pattern(value);
+            if (pattern === '*') return true;
+
+            if (pattern.includes('*')) {
+                const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+                return new RegExp(`^${escaped.join('.*')}$`).test(value);
+            }
+
+            return value === pattern;
+        }
+
+        // Looks up a per-event-type setting by exact type first, then by pattern
+        getEventOverride(overrides, eventData, fallback) {
+            overrides = overrides || {};
+            if (overrides[eventData.type]) return overrides[eventData.type];
+
+            const pattern = Object.keys(overrides).find(key => this.matchesPattern(eventData.type, key));
+            return pattern ? overrides[pattern] : fallback;
+        }
+
+        getSink(sinkId) {
+            return this.sinks.find(sink => sink.id === sinkId) || null;
+        }
+
+        async deliver(sink, entries, rest = []) {
+            const transport = this.transports.get(sink.type);
+            if (!transport) {
+                const error = new Error(`No transport registered for sink type: ${sink.type}`);
+                this.log(error.message, 'error');
+                [...entries, ...rest].forEach(entry => this.addDeadLetter(entry, error));
+                return false;
+            }
+
+            const release = await this.acquireSendSlot(sink);
+
+            try {
+                await transport.send(entries.map(entry => entry.event), sink);
+                this.removePersistedEntries(entries);
+                this.lastEventTime = Date.now();
+                this.log(`${entries.length} event(s) sent to ${sink.id}`);
+                return true;
+            } catch (error) {
+                this.errorCount = (this.errorCount || 0) + 1;
+                this.log(`Failed to send to ${sink.id}: ${error.message}`, 'error');
+                this.handleDeliveryFailure(sink, entries, error, rest);
+                return false;
+            } finally {
+                release();
+            }
+        }
+
+        // While a sink is rate limited its sends line up, so after the reset they go out one at a time
+        // and each one waits out any limit the previous response set
+        async acquireSendSlot(sink) {
+            const previous = this.sendChains.get(sink.id);
+            if (!previous && this.getRateLimitWait(sink) === 0) return () => {};
+
+            let release;
+            const slot = new Promise(resolve => { release = resolve; });
+            const chain = (previous || Promise.resolve()).then(() => slot);
+            this.sendChains.set(sink.id, chain);
+
+            await previous;
+            await this.waitForRateLimit(sink);
+
+            return () => {
+                release();
+                if (this.sendChains.get(sink.id) === chain) this.sendChains.delete(sink.id);
+            };
+        }
+
+        createDeliveryError(message, response, retryAfter = null) {
+            const error = new Error(`${message}: ${response.status}`);
+            error.status = response.status;
+            error.retryAfter = retryAfter;
+            return error;
+        }
+
+        handleDeliveryFailure(sink, entries, error, rest = []) {
+            // Client errors other than 429 will fail the same way on every retry
+            const retryable = !error.status || error.status === 429 || error.status >= 500;
+
+            // Rate limits and dropped connections aren't the event's fault
+            const countsAsAttempt = error.status !== 429 && this.isOnline;
+
+            const retries = [];
+            entries.forEach(entry => {
+                if (countsAsAttempt) entry.attempts++;
+
+                if (!retryable || entry.attempts > this.config.maxRetries) {
+                    this.addDeadLetter(entry, error);
+                    return;
+                }
+
+                entry.retryAt = Date.now() + (error.retryAfter || this.getBackoffDelay(entry.attempts));
+                retries.push(entry);
+
+                // Flaky connections often fail without going offline, so keep retries durable
+                this.persistQueueEntry(entry);
+            });
+
+            // Retries and the sink's undelivered batches go back to the front to keep event order
+            this.eventQueue.unshift(...retries, ...rest);
+            this.scheduleFlush();
+        }
+
+        getBackoffDelay(attempt) {
+            const exponential = this.config.retryDelay * Math.pow(2, Math.max(attempt - 1, 0));
+            const capped = Math.min(exponential, this.config.maxRetryDelay);
+
+            // Equal jitter keeps retries from many tabs from landing together
+            return Math.round(capped / 2 + Math.random() * capped / 2);
+        }
+
+        addDeadLetter(entry, error) {
+            this.removePersistedEntries([entry]);
+            this.deadLetters.push({
+                ...entry,
+                error: error.message,
+                failedAt: Date.now()
+            });
+
+            if (this.deadLetters.length > this.config.deadLetterLimit) {
+                this.deadLetters = this.deadLetters.slice(-this.config.deadLetterLimit);
+            }
+
+            this.log(`Event ${entry.event.type} dropped after ${entry.attempts} attempt(s)`, 'warn');
+        }
+
+        getDeadLetters() {
+            return [...this.deadLetters];
+        }
+
+        retryDeadLetters() {
+            const entries = this.deadLetters.map(letter => {
+                const entry = this.createQueueEntry(this.getSink(letter.sinkId) || { id: letter.sinkId }, letter.event);
+                entry.queuedAt = letter.queuedAt;
+                return entry;
+            });
+
+            this.deadLetters = [];
+            this.eventQueue.push(...entries);
+            this.flushEventQueue();
+        }
+
+        // Discord rate limits are per webhook, plus a global limit shared by all of them
+        async readRateLimit(sink, response) {
+            const remaining = parseInt(response.headers.get('X-RateLimit-Remaining'), 10);
+            const resetAfter = parseFloat(response.headers.get('X-RateLimit-Reset-After'));
+
+            if (remaining === 0 && !isNaN(resetAfter)) {
+                this.setRateLimit(sink.url, resetAfter * 1000);
+            }
+
+            if (response.status !== 429) return null;
+
+            let retryAfter = parseFloat(response.headers.get('Retry-After'));
+            let global = response.headers.get('X-RateLimit-Global') === 'true';
+
+            try {
+                const body = await response.json();
+                if (body.retry_after !== undefined) retryAfter = body.retry_after;
+                global = global || !!body.global;
+            } catch (e) {
+                // Body isn't JSON, fall back to the headers
+            }
+
+            const wait = (isNaN(retryAfter) ? 1 : retryAfter) * 1000;
+            this.setRateLimit(global ? '*' : sink.url, wait);
+            return wait;
+        }
+
+        setRateLimit(key, wait) {
+            const until = Date.now() + wait;
+            this.rateLimits.set(key, Math.max(this.rateLimits.get(key) || 0, until));
+        }
+
+        getRateLimitWait(sink) {
+            const until = Math.max(this.rateLimits.get(sink.url) || 0, this.rateLimits.get('*') || 0);
+            return Math.max(until - Date.now(), 0);
+        }
+
+        async waitForRateLimit(sink) {
+            const wait = this.getRateLimitWait(sink);
+            if (wait > 0) {
+                this.log(`Rate limited on ${sink.id}, waiting ${wait}ms`, 'warn');
+                await this.delay(wait);
+            }
+        }
+
+        beaconEvent(eventData) {
+            this.getSinksForEvent(eventData).forEach(sink => {
+                const transport = this.transports.get(sink.type);
+                if (transport && transport.beacon) {
+                    transport.beacon([eventData], sink);
+                }
+            });
+        }
+
+        // Discord Integration
+        createDiscordEmbed(eventData) {
+            const embed = {
+                title: this.getEventTitle(eventData),
+                color: this.getEventColor(eventData),
+                timestamp: new Date(eventData.timestamp).toISOString(),
+                fields: this.getEventFields(eventData),
+                footer: {
+                    text: `${this.config.discordBotName} • ${eventData.fingerprint}`
+                }
+            };
+
+            if (eventData.location && this.config.includeMapLinks) {
+                embed.fields.unshift({
+                    name: "Location",
+                    value: `[View on Map](https://www.google.com/maps?q=${eventData.location.latitude},${eventData.location.longitude})`,
+                    inline: true
+                });
+            }
+
+            return embed;
+        }
+
+        getEventTitle(eventData) {
+            const titles = {
+                'page_view': '# PAGE VIEW',
+                'click': '# CLICK EVENT',
+                'scroll': '# SCROLL EVENT',
+                'form_submission': '# FORM SUBMISSION',
+                'javascript_error': '# ERROR EVENT',
+                'performance': '# PERFORMANCE',
+                'session_start': '# SESSION STARTED',
+                'session_end': '# SESSION ENDED',
+                'ab_test_created': '# A/B TEST CREATED',
+                'ab_test_conversion': '# A/B TEST CONVERSION',
+                'funnel_created': '# FUNNEL CREATED',
+                'funnel_step': '# FUNNEL STEP',
+                'funnel_completed': '# FUNNEL COMPLETED',
+                'bot_detected': '# BOT DETECTED',
+                'fraud_detected': '# FRAUD DETECTED',
+                'search_input': '# SEARCH INPUT',
+                'search_submission': '# SEARCH SUBMISSION',
+                'content_view': '# CONTENT VIEW',
+                'reading_progress': '# READING PROGRESS',
+                'content_engagement': '# CONTENT ENGAGEMENT',
+                'network_profile': '# NETWORK PROFILE',
+                'journey_step': '# JOURNEY STEP',
+                'session_replay': '# SESSION REPLAY',
+                'session_card': '# LIVE SESSION',
+                'digest': '# DIGEST',
+                'alert': '# ALERT',
+                'error_group': '# ERROR REPEATED',
+                'network_error': '# NETWORK ERROR',
+                'console_error': '# CONSOLE ERROR',
+                'console_warning': '# CONSOLE WARNING',
+                'resource_error': '# RESOURCE ERROR',
+                'web_vitals': '# WEB VITALS',
+                'responsiveness': '# RESPONSIVENESS',
+                'resource_timing': '# RESOURCE TIMING',
+                'outbound_click': '# OUTBOUND CLICK',
+                'download': '# DOWNLOAD',
+                'media_session': '# MEDIA SESSION',
+                'view_item': '# ITEM VIEWED',
+                'add_to_cart': '# ADDED TO CART',
+                'remove_from_cart': '# REMOVED FROM CART',
+                'begin_checkout': '# CHECKOUT STARTED',
+                'add_payment_info': '# PAYMENT INFO ADDED',
+                'purchase': '# PURCHASE COMPLETED',
+                'refund': '# REFUND',
+                'cart_abandoned': '# CART ABANDONED'
+            };
+
+            const title = titles[eventData.type] || `# ${eventData.type.toUpperCase()}`;
+            return `${title}, **${eventData.fingerprint}**`;
+        }
+
+        getButtonStyle(style) {
+            const styleMap = {
+                primary: 1,   // Blue
+                secondary: 2, // Grey
+                success: 3,   // Green
+                danger: 4,    // Red
+                link: 5       // Link
+            };
+            return styleMap[style] || 2;
+        }
+
+        getEventColor(eventData) {
+            const colors = {
+                'page_view': 0x3498db,
+                'click': 0x2ecc71,
+                'scroll': 0x9b59b6,
+                'form_submission': 0xe67e22,
+                'javascript_error': 0xe74c3c,
+                'performance': 0xf39c12,
+                'session_start': 0x1abc9c,
+                'session_end': 0x95a5a6,
+                'session_card': 0x1abc9c,
+                'digest': 0x34495e,
+                'alert': 0xff0000,
+                'error_group': 0xc0392b,
+                'network_error': 0xd35400,
+                'console_error': 0xe74c3c,
+                'console_warning': 0xf1c40f,
+                'resource_error': 0xe67e22,
+                'web_vitals': 0xf39c12,
+                'responsiveness': 0x8e44ad,
+                'resource_timing': 0x16a085,
+                'outbound_click': 0x27ae60,
+                'download': 0x2980b9,
+                'media_session': 0xe84393,
+                'view_item': 0x5dade2,
+                'add_to_cart': 0x58d68d,
+                'remove_from_cart': 0xf0b27a,
+                'begin_checkout': 0xf4d03f,
+                'add_payment_info': 0xaf7ac5,
+                'purchase': 0x1f8b4c,
+                'refund': 0xc0392b,
+                'cart_abandoned': 0xe67e22
+            };
+
+            return colors[eventData.type] || this.parseColor(this.config.discordEmbedColor);
+        }
+
+        // Discord wants an integer, but hex strings like "#5865F2" are friendlier in config
+        parseColor(color) {
+            if (typeof color === 'string') {
+                return parseInt(color.replace('#', ''), 16);
+            }
+            return color;
+        }
+
+        getEventFields(eventData) {
+            const fields = [];
+
+            switch (eventData.type) {
+                case 'page_view':
+                    fields.push(
+                        { name: "🌐 URL", value: eventData.url, inline: false },
+                        { name: "📄 Title", value: eventData.title || 'No title', inline: true },
+                        { name: "🔗 Referrer", value: eventData.referrer || 'Direct', inline: true },
+                        { name: "📱 Viewport", value: eventData.viewport, inline: true }
+                    );
+                    if (eventData.previousPage) {
+                        const previous = eventData.previousPage;
+                        fields.push({
+                            name: "↩️ Previous Route",
+                            value: `${previous.page} · ${this.formatDuration(previous.timeOnPage)} · ${previous.scrollDepth}% scrolled`,
+                            inline: false
+                        });
+                    }
+                    break;
+
+                case 'click':
+                    fields.push(
+                        { name: "🎯 Element", value: `${eventData.element.tag}${eventData.element.id ? '#' + eventData.element.id : ''}`, inline: true },
+                        { name: "📝 Text", value: eventData.element.text?.substring(0, 100) || 'No text', inline: true },
+                        { name: "📍 Position", value: `${eventData.element.position.x}, ${eventData.element.position.y}`, inline: true }
+                    );
+                    if (eventData.element.href) {
+                        fields.push({ name: "🔗 Link", value: eventData.element.href, inline: false });
+                    }
+                    break;
+
+                case 'scroll':
+                    fields.push(
+                        { name: "📊 Depth", value: `${eventData.depth}%`, inline: true },
+                        { name: "📄 Page", value: eventData.page, inline: true }
+                    );
+                    break;
+
+                case 'form_submission':
+                    fields.push(
+                        { name: "📝 Form ID", value: eventData.form.id || 'No ID', inline: true },
+                        { name: "🔢 Fields", value: eventData.form.fieldCount.toString(), inline: true },
+                        { name: "🎯 Action", value: eventData.form.action || 'No action', inline: true }
+                    );
+                    break;
+
+                case 'javascript_error':
+                    fields.push(
+                        { name: "❌ Message", value: eventData.error.message.substring(0, 100), inline: false },
+                        { name: "📁 File", value: eventData.error.filename || 'Unknown', inline: true },
+                        { name: "📍 Line", value: `${eventData.error.lineno}:${eventData.error.colno}`, inline: true }
+                    );
+                    break;
+
+                case 'performance':
+                    fields.push(
                         { name: "⚡ Load Time", value: `${eventData.metrics.loadTime}ms`, inline: true },
                         { name: "🏠 DOM Ready", value: `${eventData.metrics.domReady}ms`, inline: true },
                         { name: "🌐 First Byte", value: `${eventData.metrics.firstByte}ms`, inline: true }
                     );
-                    if (eventData.metrics.lcp) {
-                        fields.push({ name: "🎨 LCP", value: `${Math.round(eventData.metrics.lcp)}ms`, inline: true });
+                    break;
+
+                case 'session_card':
+                    fields.push(
+                        { name: "📄 Current Page", value: eventData.session.currentPage, inline: true },
+                        { name: "⏱️ Duration", value: this.formatDuration(eventData.session.duration), inline: true },
+                        { name: "👁️ Visibility", value: eventData.session.visibility, inline: true },
+                        { name: "📊 Max Scroll", value: `${eventData.session.maxScrollDepth}%`, inline: true },
+                        { name: "🖱️ Clicks", value: eventData.session.clicks.toString(), inline: true },
+                        { name: `🗺️ Pages Visited (${eventData.session.pages.length})`, value: eventData.session.pages.join(' → '), inline: false }
+                    );
+                    break;
+
+                case 'digest':
+                    fields.push(...this.getDigestFields(eventData.digest));
+                    break;
+
+                case 'network_error':
+                    fields.push(
+                        { name: "🌐 Request", value: `${eventData.request.method} ${eventData.request.url}`, inline: false },
+                        { name: "📟 Status", value: eventData.request.status ? eventData.request.status.toString() : `Failed${eventData.request.error ? `: ${eventData.request.error}` : ''}`, inline: true },
+                        { name: "⏱️ Duration", value: `${eventData.request.duration}ms`, inline: true },
+                        { name: "📄 Page", value: eventData.page, inline: true }
+                    );
+                    break;
+
+                case 'console_error':
+                case 'console_warning':
+                    fields.push(
+                        { name: "💬 Message", value: eventData.error.message, inline: false },
+                        { name: "📶 Level", value: eventData.error.level, inline: true },
+                        { name: "📄 Page", value: eventData.page, inline: true }
+                    );
+                    break;
+
+                case 'web_vitals':
+                    ['LCP', 'INP', 'CLS', 'FCP', 'TTFB'].forEach(name => {
+                        const metric = eventData.vitals[name];
+                        if (metric) {
+                            fields.push({ name: name, value: this.formatWebVital(name, metric), inline: true });
+                        }
+                    });
+                    break;
+
+                case 'responsiveness': {
+                    const formatStats = stats => `${stats.count} · ${stats.totalBlockingTime}ms blocking · worst ${stats.worst}ms`;
+                    const { longTasks, longAnimationFrames, scripts } = eventData.responsiveness;
+
+                    fields.push(
+                        { name: "🧱 Long Tasks", value: formatStats(longTasks), inline: false },
+                        { name: "🎞️ Long Animation Frames", value: formatStats(longAnimationFrames), inline: false }
+                    );
+                    if (longAnimationFrames.source || longTasks.source) {
+                        fields.push({ name: "🐢 Worst Source", value: longAnimationFrames.source || longTasks.source, inline: false });
+                    }
+                    if (scripts.length > 0) {
+                        fields.push({ name: "📜 Slowest Scripts", value: scripts.map(script => `\`${script.duration}ms\` ${script.url}`).join('\n'), inline: false });
+                    }
+                    break;
+                }
+
+                case 'resource_timing':
+                    fields.push(...this.getResourceTimingFields(eventData.resources, eventData.sizeThreshold));
+                    break;
+
+                case 'view_item':
+                case 'add_to_cart':
+                case 'remove_from_cart':
+                case 'begin_checkout':
+                case 'add_payment_info':
+                case 'purchase':
+                case 'refund':
+                case 'cart_abandoned':
+                    fields.push(...this.getEcommerceFields(eventData));
+                    break;
+
+                case 'media_session': {
+                    const media = eventData.media;
+                    const reasons = { ended: 'Played to the end', source_changed: 'Source changed', page_hidden: 'Not yet, tab hidden', page_exit: 'Left the page', route_change: 'Route changed' };
+                    fields.push(
+                        { name: "🎬 Media", value: media.title || media.src || media.type, inline: false },
+                        { name: "⏱️ Watched", value: `${this.formatDuration(media.watchedSeconds * 1000)}${media.duration !== null ? ` of ${this.formatDuration(media.duration * 1000)}` : ' (live)'}`, inline: true },
+                        { name: "📊 Progress", value: media.milestones.length > 0 ? media.milestones.map(milestone => `${milestone}%`).join(' · ') : 'Under 25%', inline: true },
+                        { name: "🏁 Ended", value: reasons[media.endReason] || media.endReason, inline: true },
+                        { name: "⏩ Seeks", value: media.seeks.toString(), inline: true },
+                        { name: "⏳ Buffering", value: media.bufferingCount > 0 ? `${(media.bufferingTime / 1000).toFixed(1)}s in ${media.bufferingCount} stall${media.bufferingCount === 1 ? '' : 's'}` : 'None', inline: true },
+                        { name: "🎚️ Speed", value: media.playbackRates.map(rate => `${rate}x`).join(', '), inline: true }
+                    );
+                    break;
+                }
+
+                case 'download':
+                    fields.push(
+                        { name: "📁 File", value: eventData.download.filename || 'Unnamed file', inline: true },
+                        { name: "🗂️ Type", value: `${eventData.download.category}${eventData.download.extension ? ` (.${eventData.download.extension})` : ''}`, inline: true },
+                        { name: "📄 Page", value: eventData.page, inline: true }
+                    );
+                    if (eventData.download.url) {
+                        fields.push({ name: "🔗 Link", value: eventData.download.url, inline: false });
+                    } else {
+                        const source = eventData.download.source === 'element' ? 'Tagged element' : `${eventData.download.source}: URL created in the page`;
+                        fields.push({ name: "🧪 Source", value: source, inline: false });
+                    }
+                    break;
+
+                case 'outbound_click':
+                    fields.push(
+                        { name: "🌍 Destination", value: eventData.link.domain || 'Unknown', inline: true },
+                        { name: "🏷️ Type", value: eventData.link.classification, inline: true },
+                        { name: "📝 Text", value: eventData.link.text || 'No text', inline: true },
+                        { name: "📄 Page", value: eventData.page, inline: true }
+                    );
+                    if (eventData.link.url) {
+                        fields.push({ name: "🔗 Link", value: eventData.link.url, inline: false });
+                    }
+                    break;
+
+                case 'resource_error':
+                    fields.push(
+                        { name: "🔗 URL", value: eventData.resource.url, inline: false },
+                        { name: "🏷️ Element", value: `<${eventData.resource.element}>`, inline: true },
+                        { name: "🔢 Failures", value: eventData.resource.count.toString(), inline: true },
+                        { name: "📄 Page", value: eventData.page, inline: true }
+                    );
+                    break;
+
+                case 'error_group':
+                    fields.push(
+                        { name: "❌ Message", value: eventData.group.message, inline: false },
+                        { name: "🔁 Occurrences", value: `×${eventData.group.pending} in the last ${this.formatDuration(eventData.group.window)}`, inline: true },
+                        { name: "Σ Total", value: eventData.group.count.toString(), inline: true },
+                        { name: "📄 Pages Affected", value: eventData.group.pages.length.toString(), inline: true },
+                        { name: "🕐 First Seen", value: `<t:${Math.floor(eventData.group.firstSeen / 1000)}:R>`, inline: true },
+                        { name: "🕒 Last Seen", value: `<t:${Math.floor(eventData.group.lastSeen / 1000)}:R>`, inline: true }
+                    );
+                    break;
+
+                case 'alert':
+                    fields.push(
+                        { name: "🚨 Alert", value: this.getAlertSummary(eventData.alert), inline: false },
+                        { name: "🧩 Trigger", value: eventData.alert.trigger, inline: true },
+                        { name: "📄 Page", value: eventData.page, inline: true }
+                    );
+                    if (eventData.alert.suppressed > 0) {
+                        fields.push({ name: "🔕 Suppressed", value: `${eventData.alert.suppressed} during the last cooldown`, inline: true });
+                    }
+                    break;
+            }
+
+            const stack = eventData.error?.frames ? this.formatStackFrames(eventData.error.frames) : '';
+            if (stack) {
+                fields.push({ name: "🧵 Stack", value: stack, inline: false });
+            }
+
+            if (eventData.breadcrumbs && eventData.breadcrumbs.length > 0) {
+                fields.push({ name: "🍞 Breadcrumbs", value: this.formatBreadcrumbs(eventData.breadcrumbs, eventData.timestamp), inline: false });
+            }
+
+            return fields;
+        }
+
+        createDiscordPayload(embeds, sink, content = null) {
+            const payload = {
+                username: sink.discordBotName || this.config.discordBotName,
+                avatar_url: sink.discordBotAvatar || this.config.discordBotAvatar,
+                embeds: embeds,
+                // Tracked text like error messages must never ping anyone, only alert mentions may
+                allowed_mentions: { parse: [] }
+            };
+
+            // Add action buttons if enabled
+            if (this.config.enableEmbedButtons && this.config.embedButtons) {
+                payload.components = [{
+                    type: 1, // Action Row
+                    components: this.config.embedButtons.map(button => ({
+                        type: 2, // Button
+                        style: this.getButtonStyle(button.style),
+                        label: button.label,
+                        url: button.url.replace('{fingerprint}', this.fingerprintLabel)
+                    }))
+                }];
+            }
+
+            if (content) {
+                payload.content = this.truncateText(content, this.getContentLimit());
+            }
+
+            return payload;
+        }
+
+        getContentLimit() {
+            return Math.min(this.config.maxMessageLength || DISCORD_LIMITS.content, DISCORD_LIMITS.content);
+        }
+
+        getEmbedLength(embed) {
+            let length = (embed.title || '').length + (embed.description || '').length;
+
+            if (embed.footer) length += (embed.footer.text || '').length;
+            if (embed.author) length += (embed.author.name || '').length;
+
+            (embed.fields || []).forEach(field => {
+                length += String(field.name).length + String(field.value).length;
+            });
+
+            return length;
+        }
+
+        truncateText(text, limit) {
+            const value = String(text);
+            return value.length > limit ? value.substring(0, limit - 1) + '…' : value;
+        }
+
+        // Returns the event's embed cut down to Discord's limits, split into several if needed
+        createDiscordEmbeds(eventData, sink = {}) {
+            const embed = this.createDiscordEmbed(eventData);
+
+            // A route's embed color replaces the per-event colors
+            if (sink.discordEmbedColor !== undefined && sink.discordEmbedColor !== null) {
+                embed.color = this.parseColor(sink.discordEmbedColor);
+            }
+
+            const base = { ...embed, fields: [] };
+            if (base.title) base.title = this.truncateText(base.title, DISCORD_LIMITS.title);
+            if (base.description) base.description = this.truncateText(base.description, DISCORD_LIMITS.description);
+            if (base.footer) base.footer = { ...base.footer, text: this.truncateText(base.footer.text, DISCORD_LIMITS.footerText) };
+
+            // Discord rejects empty field values outright
+            const fields = (embed.fields || []).map(field => ({
+                ...field,
+                name: this.truncateText(field.name || '—', DISCORD_LIMITS.fieldName),
+                value: this.truncateText(field.value === undefined || field.value === null || field.value === '' ? '—' : field.value, DISCORD_LIMITS.fieldValue)
+            }));
+
+            const embeds = [];
+            let current = base;
+
+            fields.forEach(field => {
+                const fieldLength = field.name.length + field.value.length;
+                const full = current.fields.length >= DISCORD_LIMITS.fields ||
+                             this.getEmbedLength(current) + fieldLength > DISCORD_LIMITS.totalCharacters;
+
+                if (current.fields.length > 0 && full) {
+                    embeds.push(current);
+                    current = {
+                        title: this.truncateText(`${base.title || ''} (cont.)`, DISCORD_LIMITS.title),
+                        color: base.color,
+                        timestamp: base.timestamp,
+                        fields: []
+                    };
+                }
+
+                current.fields.push(field);
+            });
+
+            embeds.push(current);
+            return embeds;
+        }
+
+        getEmbedStyle(eventData) {
+            return this.getEventOverride(this.config.embedStyleByEvent, eventData, this.config.embedStyle);
+        }
+
+        // Renders an event as rich embeds or as a one-line message, depending on embedStyle
+        renderDiscordMessage(eventData, sink = {}) {
+            const mentions = eventData.mentions ? [this.getMentionLine(eventData.mentions)].filter(Boolean) : [];
+
+            if (this.getEmbedStyle(eventData) === 'simple') {
+                return { embeds: [], lines: [...mentions, this.createSimpleLine(eventData)] };
+            }
+
+            return { embeds: this.createDiscordEmbeds(eventData, sink), lines: mentions };
+        }
+
+        // Splits rendered messages into single-embed and single-line parts so oversized events can span messages
+        splitDiscordMessages(messages) {
+            return messages.flatMap(message => [
+                ...message.embeds.map(embed => ({ embeds: [embed], lines: [] })),
+                ...message.lines.map(line => ({ embeds: [], lines: [line] }))
+            ]);
+        }
+
+        // Groups items into messages of at most 10 embeds, 6000 embed characters and one content limit, in order.
+        // Items with a different groupKey never share a message.
+        packDiscordMessages(items, render, groupKey = null) {
+            const batches = [];
+            let batch = [];
+            let embedCount = 0;
+            let embedLength = 0;
+            let contentLength = 0;
+            let group = null;
+
+            items.forEach(item => {
+                const message = render(item);
+                const itemGroup = groupKey ? groupKey(item) : null;
+                const length = message.embeds.reduce((sum, embed) => sum + this.getEmbedLength(embed), 0);
+                const content = message.lines.reduce((sum, line) => sum + line.length + 1, 0);
+                const full = embedCount + message.embeds.length > DISCORD_LIMITS.embedsPerMessage ||
+                             embedLength + length > DISCORD_LIMITS.totalCharacters ||
+                             contentLength + content > this.getContentLimit() + 1 ||
+                             itemGroup !== group;
+
+                if (batch.length > 0 && full) {
+                    batches.push(batch);
+                    batch = [];
+                    embedCount = 0;
+                    embedLength = 0;
+                    contentLength = 0;
+                }
+
+                batch.push(item);
+                group = itemGroup;
+                embedCount += message.embeds.length;
+                embedLength += length;
+                contentLength += content;
+            });
+
+            if (batch.length > 0) batches.push(batch);
+            return batches;
+        }
+
+        packDiscordEmbeds(entries, sink) {
+            // Each session posts into its own thread, so sessions can't share a message
+            const groupKey = this.usesDiscordThreads(sink) ? entry => this.getEventSessionId(entry.event) : null;
+            return this.packDiscordMessages(entries, entry => this.renderDiscordMessage(entry.event, sink), groupKey);
+        }
+
+        createDiscordBatchPayloads(events, sink) {
+            const parts = this.splitDiscordMessages(events.map(eventData => this.renderDiscordMessage(eventData, sink)));
+
+            const allowedMentions = this.getAllowedMentions(events);
+
+            return this.packDiscordMessages(parts, part => part).map(batch => ({
+                ...this.createDiscordPayload(
+                    batch.flatMap(part => part.embeds),
+                    sink,
+                    batch.flatMap(part => part.lines).join('\n')
+                ),
+                allowed_mentions: allowedMentions
+            }));
+        }
+
+        async sendToDiscord(events, sink) {
+            // An event that split into too many embeds can still need more than one message
+            for (const payload of this.createDiscordBatchPayloads(events, sink)) {
+                await this.postDiscordMessage(sink, payload, events[0]);
+            }
+        }
+
+        // Posts into the sink's channel or the session's thread. With { wait: true } resolves to the created message.
+        async postDiscordMessage(sink, payload, eventData, options = {}) {
+            if (this.usesDiscordThreads(sink)) {
+                return this.postToDiscordThread(sink, payload, eventData, options);
+            }
+
+            const url = options.wait ? this.withQuery(sink.url, { wait: 'true' }) : sink.url;
+            const response = await this.requestDiscord(sink, url, payload);
+            return options.wait ? response.json() : null;
+        }
+
+        async editDiscordMessage(sink, messageId, payload, eventData, options = {}) {
+            const url = new URL(sink.url);
+            url.pathname = `${url.pathname.replace(/\/$/, '')}/messages/${messageId}`;
+
+            const threadId = this.usesDiscordThreads(sink) ? this.getStoredThreadId(sink, eventData) : null;
+            if (threadId) url.searchParams.set('thread_id', threadId);
+
+            // The webhook's name and avatar are fixed once a message is posted
+            const { username, avatar_url, ...edit } = payload;
+            return this.requestDiscord(sink, url.toString(), edit, { method: 'PATCH', keepalive: options.keepalive });
+        }
+
+        async requestDiscord(sink, url, payload, options = {}) {
+            const response = await fetch(url, {
+                method: options.method || 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(payload),
+                keepalive: !!options.keepalive
+            });
+
+            const retryAfter = await this.readRateLimit(sink, response);
+
+            if (!response.ok) {
+                throw this.createDeliveryError('Discord API error', response, retryAfter);
+            }
+
+            return response;
+        }
+
+        // Resolves to whether every message was accepted, or returns false when they don't fit the exit budget
+        beaconToDiscord(events, sink) {
+            const threadId = this.usesDiscordThreads(sink) ? this.getStoredThreadId(sink, events[0]) : null;
+
+            const requests = this.createDiscordBatchPayloads(events, sink).map(payload => {
+                if (!this.usesDiscordThreads(sink)) return { url: sink.url, body: JSON.stringify(payload) };
+                if (threadId) return { url: this.withQuery(sink.url, { thread_id: threadId }), body: JSON.stringify(payload) };
+
+                // The page is going away before the new thread's ID comes back, but the message still needs a thread
+                return { url: sink.url, body: JSON.stringify({ ...payload, thread_name: this.getThreadName(events[0]) }) };
+            });
+
+            const size = requests.reduce((total, request) => total + this.getByteLength(request.body), 0);
+            if (!this.reserveExitBytes(size)) return false;
+
+            return Promise.all(requests.map(request => this.keepaliveToDiscord(sink, request.url, request.body)))
+                .then(results => results.every(Boolean))
+                .finally(() => this.releaseExitBytes(size));
+        }
+
+        // sendBeacon can only post text/plain to Discord, which rejects it, so exit deliveries use a keepalive fetch
+        keepaliveToDiscord(sink, url, body) {
+            return fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: body,
+                keepalive: true
+            }).then(response => {
+                this.readRateLimit(sink, response);
+                return response.ok;
+            }).catch(error => {
+                this.log(`Exit delivery failed: ${error.message}`, 'warn');
+                return false;
+            });
+        }
+
+        getByteLength(text) {
+            return new TextEncoder().encode(text).length;
+        }
+
+        // Exit requests over the budget are rejected by the browser, so they're held back instead
+        reserveExitBytes(size) {
+            if (this.exitBytes + size > EXIT_REQUEST_BUDGET) return false;
+            this.exitBytes += size;
+            return true;
+        }
+
+        releaseExitBytes(size) {
+            this.exitBytes = Math.max(this.exitBytes - size, 0);
+        }
+
+        withQuery(url, params) {
+            const parsed = new URL(url);
+            Object.entries(params).forEach(([key, value]) => parsed.searchParams.set(key, value));
+            return parsed.toString();
+        }
+
+        // Forum Threads
+        usesDiscordThreads(sink) {
+            return sink.type === 'discord' && (sink.threads !== undefined ? !!sink.threads : !!this.config.discordThreads);
+        }
+
+        getEventSessionId(eventData) {
+            return eventData.sessionId || this.sessionId;
+        }
+
+        getThreadKey(sink, eventData) {
+            return `${this.hashFingerprint(sink.id)}_${this.getEventSessionId(eventData)}`;
+        }
+
+        getThreadName(eventData) {
+            const page = eventData.page || this.getUrlPath(eventData.url || window.location.href);
+            return this.truncateText(`${eventData.fingerprint || this.fingerprintLabel} • ${page}`, 100);
+        }
+
+        getStoredThreadId(sink, eventData) {
+            try {
+                const threads = JSON.parse(sessionStorage.getItem('da_threads') || '{}');
+                return threads[this.getThreadKey(sink, eventData)] || null;
+            } catch (e) {
+                return null;
+            }
+        }
+
+        storeThreadId(sink, eventData, threadId) {
+            try {
+                const threads = JSON.parse(sessionStorage.getItem('da_threads') || '{}');
+                threads[this.getThreadKey(sink, eventData)] = threadId;
+                sessionStorage.setItem('da_threads', JSON.stringify(threads));
+            } catch (e) {
+                // Storage not available
+            }
+        }
+
+        async postToDiscordThread(sink, payload, eventData, options = {}) {
+            const key = this.getThreadKey(sink, eventData);
+
+            // Wait for a thread another request is already creating for this session
+            let threadId = this.getStoredThreadId(sink, eventData);
+            if (!threadId && this.threadRequests.has(key)) {
+                threadId = await this.threadRequests.get(key);
+            }
+
+            if (threadId) {
+                const query = options.wait ? { thread_id: threadId, wait: 'true' } : { thread_id: threadId };
+                const response = await this.requestDiscord(sink, this.withQuery(sink.url, query), payload);
+                return options.wait ? response.json() : null;
+            }
+
+            // The session's first message creates the forum thread, and ?wait=true returns its channel ID
+            const creation = this.requestDiscord(
+                sink,
+                this.withQuery(sink.url, { wait: 'true' }),
+                { ...payload, thread_name: this.getThreadName(eventData) }
+            ).then(response => response.json()).then(message => {
+                this.storeThreadId(sink, eventData, message.channel_id);
+                return message;
+            });
+
+            this.threadRequests.set(key, creation.then(message => message.channel_id).catch(() => null));
+
+            try {
+                const message = await creation;
+                return options.wait ? message : null;
+            } finally {
+                this.threadRequests.delete(key);
+            }
+        }
+
+        // Compact one-line rendering, e.g. "page_view /pricing SuperLion2838 (Chrome, 1440x900)"
+        createSimpleLine(eventData) {
+            const viewport = eventData.viewport || `${window.innerWidth}x${window.innerHeight}`;
+            const parts = [
+                eventData.type,
+                ...this.getSimpleDetails(eventData),
+                eventData.fingerprint,
+                `(${this.getBrowserName(eventData.userAgent || navigator.userAgent)}, ${viewport})`
+            ];
+
+            const line = parts.filter(part => part !== undefined && part !== null && part !== '')
+                .map(part => String(part).replace(/\s+/g, ' '))
+                .join(' ');
+
+            // Truncate before decorating so the bold markers always close
+            const limit = this.getContentLimit();
+            return PRIORITY_EVENTS.includes(eventData.type)
+                ? `🚨 **${this.truncateText(line, limit - 8)}**`
+                : this.truncateText(line, limit);
+        }
+
+        getSimpleDetails(eventData) {
+            switch (eventData.type) {
+                case 'page_view':
+                    return [this.getUrlPath(eventData.url)];
+                case 'click':
+                    return [
+                        `${eventData.element.tag}${eventData.element.id ? '#' + eventData.element.id : ''}`,
+                        eventData.element.text ? `"${eventData.element.text.trim().substring(0, 40)}"` : null,
+                        eventData.page
+                    ];
+                case 'scroll':
+                    return [`${eventData.depth}%`, eventData.page];
+                case 'form_submission':
+                    return [eventData.form.id || eventData.form.action, eventData.page];
+                case 'javascript_error':
+                    return [eventData.error.message, eventData.page];
+                case 'promise_rejection':
+                    return [eventData.error.reason, eventData.page];
+                case 'performance':
+                    return [`${eventData.metrics.loadTime}ms`, eventData.page];
+                case 'custom_event':
+                    return [eventData.name, eventData.page];
+                case 'suspicious_activity':
+                    return [eventData.activity.type, eventData.page];
+                case 'network_error':
+                case 'console_error':
+                case 'console_warning':
+                    return [eventData.error.message, eventData.page];
+                case 'web_vitals':
+                    return [
+                        ...Object.entries(eventData.vitals).map(([name, metric]) => `${name} ${name === 'CLS' ? metric.value : `${metric.value}ms`} (${metric.rating})`),
+                        eventData.page
+                    ];
+                case 'responsiveness':
+                    return [
+                        `${eventData.responsiveness.longTasks.count} long tasks`,
+                        `${eventData.responsiveness.longTasks.totalBlockingTime}ms blocking`,
+                        eventData.page
+                    ];
+                case 'resource_timing':
+                    return [
+                        `${eventData.resources.count} resources`,
+                        this.formatBytes(eventData.resources.transferSize),
+                        eventData.resources.slowest[0] ? `slowest ${eventData.resources.slowest[0].url} ${eventData.resources.slowest[0].duration}ms` : null,
+                        eventData.page
+                    ];
+                case 'cart_abandoned':
+                    return [
+                        `${eventData.cart.itemCount} item${eventData.cart.itemCount === 1 ? '' : 's'}`,
+                        this.formatMoney(eventData.ecommerce.value, eventData.ecommerce.currency),
+                        `last on ${eventData.lastPage}`
+                    ];
+                case 'view_item':
+                case 'add_to_cart':
+                case 'remove_from_cart':
+                case 'begin_checkout':
+                case 'add_payment_info':
+                case 'purchase':
+                case 'refund': {
+                    const { ecommerce } = eventData;
+                    const items = ecommerce.items.length === 1
+                        ? `${ecommerce.items[0].quantity} × ${ecommerce.items[0].name}`
+                        : `${ecommerce.items.length} items`;
+                    return [ecommerce.transactionId, this.formatMoney(ecommerce.value, ecommerce.currency), ecommerce.items.length > 0 ? items : null, eventData.page];
+                }
+                case 'media_session':
+                    return [
+                        eventData.media.title || eventData.media.src || eventData.media.type,
+                        `${eventData.media.watchedSeconds}s watched`,
+                        eventData.media.completed ? 'completed' : (eventData.media.milestones.length > 0 ? `${eventData.media.milestones[eventData.media.milestones.length - 1]}%` : null),
+                        eventData.page
+                    ];
+                case 'download':
+                    return [eventData.download.filename || eventData.download.source, eventData.download.category, eventData.page];
+                case 'outbound_click':
+                    return [
+                        eventData.link.domain ? `→ ${eventData.link.domain}` : null,
+                        eventData.link.classification,
+                        eventData.link.text ? `"${eventData.link.text.substring(0, 40)}"` : null,
+                        eventData.page
+                    ];
+                case 'resource_error':
+                    return [`<${eventData.resource.element}> ${eventData.resource.url}`, `×${eventData.resource.count}`, eventData.page];
+                case 'error_group':
+                    return [`×${eventData.group.pending}`, eventData.group.message];
+                case 'alert':
+                    return [this.getAlertSummary(eventData.alert).split('\n')[0], eventData.page];
+                case 'digest': {
+                    const sum = counts => Object.values(counts).reduce((total, count) => total + count, 0);
+                    return [`${eventData.digest.total} events`, `${sum(eventData.digest.pageViews)} views`, `${sum(eventData.digest.errors)} errors`];
+                }
+                case 'session_end':
+                    return [this.formatDuration(eventData.session.duration), `${eventData.session.clicks} clicks`, `${eventData.session.maxScrollDepth}% scrolled`, eventData.page];
+                case 'page_visibility':
+                    return [eventData.visibility, eventData.page];
+                case 'mouse_movement':
+                    return [`${eventData.mouse.moves} moves`, eventData.page];
+                case 'form_interaction':
+                    return [eventData.field.name || eventData.field.id, eventData.field.type, eventData.page];
+                case 'print':
+                    return [eventData.title, eventData.page];
+                case 'clipboard_copy':
+                case 'clipboard_paste':
+                    return [eventData.selection ? `"${eventData.selection.substring(0, 40)}"` : null, eventData.page];
+                case 'user_identified':
+                    return [eventData.user.id];
+                case 'search_query':
+                case 'search_abandonment':
+                    return [`"${eventData.search.query}"`, `${eventData.search.keystrokes} keystrokes`, eventData.page];
+                case 'search_input':
+                case 'search_submission':
+                    return [`"${eventData.query}"`];
+                case 'content_view':
+                    return [eventData.contentId, eventData.elementType.toLowerCase()];
+                case 'content_engagement':
+                    // Milestones by scroll depth carry a content object, milestones by time keep the title as a string
+                    return typeof eventData.content === 'string'
+                        ? [eventData.milestone, eventData.time, eventData.content]
+                        : [eventData.content.milestone, eventData.content.time, eventData.page];
+                case 'reading_progress':
+                    return [`${eventData.percentage}%`, eventData.contentTitle];
+                case 'journey_step':
+                    // Page steps come from the journey map, named steps from trackUserJourney()
+                    return eventData.step
+                        ? [this.getUrlPath(eventData.step.url), `step ${eventData.journeyLength}`]
+                        : [eventData.event];
+                case 'funnel_created':
+                    return [eventData.funnelName, `${eventData.steps.length} steps`];
+                case 'funnel_step':
+                case 'funnel_completed':
+                    return [eventData.funnelName, eventData.stepName, `${eventData.stepIndex + 1}/${eventData.totalSteps}`];
+                case 'ab_test_created':
+                    return [eventData.testName, eventData.variants.join(' / ')];
+                case 'ab_test_conversion':
+                    return [eventData.testName, eventData.variant, eventData.event];
+                case 'bot_detected':
+                    return [`score ${eventData.botScore}`];
+                case 'fraud_detected':
+                    return [`score ${eventData.fraudScore}`, eventData.indicators.join(', ')];
+                case 'network_profile':
+                    return [
+                        eventData.profile.connectionType ? eventData.profile.connectionType.effectiveType : null,
+                        eventData.profile.rtt !== null ? `${Math.round(eventData.profile.rtt)}ms RTT` : null
+                    ];
+                default:
+                    return [eventData.page];
+            }
+        }
+
+        getUrlPath(url) {
+            try {
+                const parsed = new URL(url, window.location.href);
+                return parsed.pathname + parsed.search;
+            } catch (e) {
+                return url;
+            }
+        }
+
+        getBrowserName(userAgent) {
+            if (/Edg\//.test(userAgent)) return 'Edge';
+            if (/OPR\//.test(userAgent)) return 'Opera';
+            if (/Firefox\//.test(userAgent)) return 'Firefox';
+            if (/Chrome\//.test(userAgent)) return 'Chrome';
+            if (/Version\/.*Safari\//.test(userAgent)) return 'Safari';
+            return 'Unknown';
+        }
+
+        // Live Session Card
+        isSessionCardEvent(eventData, priority = false) {
+            if (!this.config.sessionCard || priority) return false;
+            return (this.config.sessionCardEvents || []).some(pattern => this.matchesPattern(eventData.type, pattern));
+        }
+
+        // The card survives reloads within the session, so its counters and message IDs live in sessionStorage
+        loadSessionCard() {
+            try {
+                const stored = JSON.parse(sessionStorage.getItem('da_session_card') || 'null');
+                if (stored && stored.sessionId === this.sessionId) return stored;
+            } catch (e) {
+                // Storage not available
+            }
+
+            return {
+                sessionId: this.sessionId,
+                startedAt: this.sessionStart,
+                currentPage: null,
+                pages: [],
+                maxScrollDepth: 0,
+                clicks: 0,
+                visibility: document.visibilityState,
+                sinkIds: [],
+                messages: {}
+            };
+        }
+
+        storeSessionCard() {
+            try {
+                sessionStorage.setItem('da_session_card', JSON.stringify(this.sessionCard));
+            } catch (e) {
+                // Storage not available
+            }
+        }
+
+        updateSessionCard(eventData, sinks) {
+            if (!this.sessionCard) this.sessionCard = this.loadSessionCard();
+
+            const card = this.sessionCard;
+            const page = eventData.page || this.getUrlPath(eventData.url || eventData.step?.url || window.location.href);
+
+            card.currentPage = page;
+            if (!card.pages.includes(page)) {
+                card.pages = [...card.pages, page].slice(-50);
+            }
+
+            if (eventData.type === 'click') card.clicks++;
+            if (eventData.type === 'scroll') card.maxScrollDepth = Math.max(card.maxScrollDepth, eventData.depth || 0);
+            if (eventData.type === 'page_visibility') card.visibility = eventData.visibility;
+
+            sinks.forEach(sink => {
+                if (!card.sinkIds.includes(sink.id)) card.sinkIds.push(sink.id);
+            });
+
+            this.storeSessionCard();
+            this.scheduleSessionCardSync();
+        }
+
+        // Edits are throttled to one per sessionCardInterval, the first card is posted right away
+        scheduleSessionCardSync() {
+            if (this.sessionCardTimer) return;
+
+            const delay = Math.max(this.sessionCardSyncedAt + this.config.sessionCardInterval - Date.now(), 0);
+            this.sessionCardTimer = setTimeout(() => {
+                this.sessionCardTimer = null;
+                this.syncSessionCard();
+            }, delay);
+        }
+
+        // Syncs run one after another so a slow first post can't create the card twice
+        syncSessionCard(options = {}) {
+            this.sessionCardSync = this.sessionCardSync.then(() => this.pushSessionCard(options));
+            return this.sessionCardSync;
+        }
+
+        flushSessionCard() {
+            if (!this.sessionCard) return;
+
+            clearTimeout(this.sessionCardTimer);
+            this.sessionCardTimer = null;
+            this.syncSessionCard({ keepalive: true });
+        }
+
+        async pushSessionCard(options = {}) {
+            const card = this.sessionCard;
+            if (!card || !this.isOnline) return;
+
+            this.sessionCardSyncedAt = Date.now();
+            const cardEvent = this.createSessionCardEvent(card);
+
+            for (const sinkId of card.sinkIds) {
+                const sink = this.getSink(sinkId);
+                if (!sink) continue;
+
+                const payload = this.createDiscordPayload(this.createDiscordEmbeds(cardEvent, sink), sink);
+
+                try {
+                    // The page is going away on keepalive syncs, so there's no time to wait out a rate limit
+                    if (!options.keepalive) await this.waitForRateLimit(sink);
+
+                    if (card.messages[sinkId]) {
+                        await this.editDiscordMessage(sink, card.messages[sinkId], payload, cardEvent, options);
+                    } else {
+                        const message = await this.postDiscordMessage(sink, payload, cardEvent, { wait: true });
+                        card.messages[sinkId] = message.id;
+                        this.storeSessionCard();
+                    }
+                } catch (error) {
+                    // Someone deleted the card, so the next sync posts a new one
+                    if (error.status === 404) {
+                        delete card.messages[sinkId];
+                        this.storeSessionCard();
+                    }
+                    this.log(`Session card update failed: ${error.message}`, 'error');
+                }
+            }
+        }
+
+        createSessionCardEvent(card) {
+            return {
+                type: 'session_card',
+                session: {
+                    currentPage: card.currentPage,
+                    pages: card.pages,
+                    maxScrollDepth: card.maxScrollDepth,
+                    clicks: card.clicks,
+                    visibility: card.visibility,
+                    duration: Date.now() - card.startedAt
+                },
+                page: card.currentPage,
+                timestamp: Date.now(),
+                fingerprint: this.fingerprintLabel,
+                sessionId: card.sessionId
+            };
+        }
+
+        formatDuration(ms) {
+            const seconds = Math.floor(ms / 1000);
+            const hours = Math.floor(seconds / 3600);
+            const minutes = Math.floor((seconds % 3600) / 60);
+
+            if (hours > 0) return minutes ? `${hours}h ${minutes}m` : `${hours}h`;
+            if (minutes > 0) return seconds % 60 ? `${minutes}m ${seconds % 60}s` : `${minutes}m`;
+            return `${seconds}s`;
+        }
+
+        // Digests
+        getDeliveryMode(eventData) {
+            return this.getEventOverride(this.config.deliveryModeByEvent, eventData, this.config.deliveryMode);
+        }
+
+        createDigest() {
+            return {
+                startedAt: Date.now(),
+                total: 0,
+                events: {},
+                pageViews: {},
+                clicks: {},
+                errors: {},
+                scrollDepths: {},
+                funnels: {}
+            };
+        }
+
+        // Each Discord sink gets its own digest, so routed webhooks only summarize the events they'd have received
+        addToDigest(eventData, sinks) {
+            sinks.forEach(sink => {
+                if (!this.digests.has(sink.id)) this.digests.set(sink.id, this.createDigest());
+                this.recordDigestEvent(this.digests.get(sink.id), eventData);
+            });
+
+            if (!this.digestTimer) {
+                this.digestTimer = setTimeout(() => this.flushDigests(), this.config.digestInterval);
+            }
+        }
+
+        recordDigestEvent(digest, eventData) {
+            const increment = (counts, key) => {
+                counts[key] = (counts[key] || 0) + 1;
+            };
+
+            digest.total++;
+            increment(digest.events, eventData.type);
+
+            switch (eventData.type) {
+                case 'page_view':
+                    increment(digest.pageViews, this.getUrlPath(eventData.url));
+                    break;
+
+                case 'click':
+                    increment(digest.clicks, this.getSimpleDetails(eventData).slice(0, 2).filter(Boolean).join(' '));
+                    break;
+
+                case 'javascript_error':
+                case 'promise_rejection':
+                    increment(digest.errors, this.getSimpleDetails(eventData)[0] || 'Unknown error');
+                    break;
+
+                case 'scroll': {
+                    const page = eventData.page || 'unknown';
+                    digest.scrollDepths[page] = Math.max(digest.scrollDepths[page] || 0, eventData.depth || 0);
+                    break;
+                }
+
+                case 'funnel_step': {
+                    const funnel = digest.funnels[eventData.funnelName] || {};
+                    digest.funnels[eventData.funnelName] = {
+                        ...funnel,
+                        lastStep: eventData.stepName,
+                        furthestStep: Math.max(funnel.furthestStep || 0, eventData.stepIndex + 1),
+                        totalSteps: eventData.totalSteps
+                    };
+                    break;
+                }
+
+                case 'funnel_completed':
+                    digest.funnels[eventData.funnelName] = { ...digest.funnels[eventData.funnelName], completed: true };
+                    break;
+            }
+        }
+
+        // Queues one summary per sink through the normal event queue, so digests get retries and offline storage too
+        flushDigests() {
+            clearTimeout(this.digestTimer);
+            this.digestTimer = null;
+
+            this.digests.forEach((digest, sinkId) => {
+                const sink = this.getSink(sinkId);
+                if (!sink || digest.total === 0) return;
+
+                this.queueEvent(sink, {
+                    type: 'digest',
+                    digest: { ...digest, endedAt: Date.now() },
+                    timestamp: Date.now(),
+                    fingerprint: this.fingerprintLabel,
+                    sessionId: this.sessionId,
+                    page: window.location.pathname
+                });
+            });
+
+            this.digests.clear();
+        }
+
+        getDigestFields(digest) {
+            const topCounts = (counts, format) => Object.entries(counts)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 10)
+                .map(([key, count]) => format(key, count))
+                .join('\n');
+
+            const fields = [
+                { name: "📊 Events", value: `${digest.total} over ${this.formatDuration(digest.endedAt - digest.startedAt)}`, inline: true }
+            ];
+
+            if (Object.keys(digest.pageViews).length > 0) {
+                fields.push({ name: "📄 Page Views", value: topCounts(digest.pageViews, (path, count) => `\`${count}\` ${path}`), inline: false });
+            }
+
+            if (Object.keys(digest.clicks).length > 0) {
+                fields.push({ name: "🎯 Click Targets", value: topCounts(digest.clicks, (target, count) => `\`${count}\` ${target}`), inline: false });
+            }
+
+            if (Object.keys(digest.errors).length > 0) {
+                fields.push({ name: "❌ Errors", value: topCounts(digest.errors, (message, count) => `\`${count}×\` ${message}`), inline: false });
+            }
+
+            const depths = Object.values(digest.scrollDepths);
+            if (depths.length > 0) {
+                const buckets = ['0–25%', '25–50%', '50–75%', '75–100%'];
+                const distribution = buckets.map((label, index) => {
+                    const count = depths.filter(depth => Math.min(Math.floor(depth / 25), 3) === index).length;
+                    return `${label}: ${count}`;
+                });
+                fields.push({ name: "📜 Scroll Depth (pages)", value: distribution.join(' · '), inline: false });
+            }
+
+            const funnels = Object.entries(digest.funnels);
+            if (funnels.length > 0) {
+                fields.push({
+                    name: "🔻 Funnels",
+                    value: funnels.map(([name, funnel]) => funnel.completed
+                        ? `✅ ${name} completed`
+                        : `${name}: ${funnel.lastStep} (${funnel.furthestStep}/${funnel.totalSteps})`
+                    ).join('\n'),
+                    inline: false
+                });
+            }
+
+            fields.push({ name: "📦 By Type", value: topCounts(digest.events, (type, count) => `\`${count}\` ${type}`), inline: false });
+
+            return fields;
+        }
+
+        // Breadcrumbs
+        initBreadcrumbs() {
+            if (!this.config.breadcrumbs) return;
+
+            const categories = this.config.breadcrumbCategories || [];
+
+            try {
+                const stored = JSON.parse(sessionStorage.getItem('da_breadcrumbs') || '[]');
+                this.breadcrumbs = stored.slice(-this.config.breadcrumbLimit);
+            } catch (e) {
+                // Storage not available
+            }
+
+            if (categories.includes('click')) {
+                document.addEventListener('click', (e) => {
+                    if (!(e.target instanceof Element) || this.isExcludedElement(e.target)) return;
+                    this.addBreadcrumb('click', this.getElementPath(e.target));
+                }, true);
+            }
+
+            if (categories.includes('form')) {
+                document.addEventListener('submit', (e) => {
+                    const form = e.target;
+                    this.addBreadcrumb('form', `${this.getElementPath(form)} → ${this.sanitizeUrl(form.action || window.location.href)}`);
+                }, true);
+            }
+
+            if (categories.includes('navigation')) {
+                const from = document.referrer ? this.sanitizeUrl(document.referrer) : '(direct)';
+                this.addNavigationBreadcrumb(from);
+                window.addEventListener('popstate', () => this.addNavigationBreadcrumb());
+                window.addEventListener('hashchange', () => this.addNavigationBreadcrumb());
+            }
+
+        }
+
+        addBreadcrumb(category, message, data = null) {
+            if (!this.config.breadcrumbs || !(this.config.breadcrumbCategories || []).includes(category)) return;
+
+            const breadcrumb = { category, message: this.truncateText(message, 200), timestamp: Date.now() };
+            if (data) breadcrumb.data = data;
+
+            this.breadcrumbs.push(breadcrumb);
+            if (this.breadcrumbs.length > this.config.breadcrumbLimit) {
+                this.breadcrumbs.splice(0, this.breadcrumbs.length - this.config.breadcrumbLimit);
+            }
+
+            try {
+                sessionStorage.setItem('da_breadcrumbs', JSON.stringify(this.breadcrumbs));
+            } catch (e) {
+                // Storage not available
+            }
+        }
+
+        addNavigationBreadcrumb(from = this.breadcrumbUrl) {
+            // Hash routes like #/settings are navigations, other fragments may hold tokens
+            const hash = /^#[/!]/.test(window.location.hash) ? window.location.hash : '';
+            const to = this.sanitizeUrl(window.location.href) + hash;
+            if (from === to) return;
+
+            this.addBreadcrumb('navigation', `${from} → ${to}`);
+            this.breadcrumbUrl = to;
+        }
+
+        getBreadcrumbs() {
+            return this.breadcrumbs.map(breadcrumb => ({ ...breadcrumb }));
+        }
+
+        // One line per breadcrumb with its offset from the error, dropping the oldest until it fits a field
+        formatBreadcrumbs(breadcrumbs, until) {
+            const icons = { click: '🖱️', navigation: '🧭', form: '📝', console: '⚠️', network: '🌐' };
+            const lines = breadcrumbs.map(breadcrumb => {
+                const offset = ((breadcrumb.timestamp - until) / 1000).toFixed(1);
+                return `\`${offset}s\` ${icons[breadcrumb.category] || '•'} ${this.truncateText(breadcrumb.message, 80)}`;
+            });
+
+            while (lines.length > 1 && lines.join('\n').length > DISCORD_LIMITS.fieldValue) {
+                lines.shift();
+            }
+
+            return lines.join('\n');
+        }
+
+        // Query strings and fragments often carry tokens or PII, so only the origin and path are kept
+        sanitizeUrl(url) {
+            try {
+                const parsed = new URL(url, window.location.href);
+                return parsed.origin === window.location.origin ? parsed.pathname : parsed.origin + parsed.pathname;
+            } catch (e) {
+                return String(url).split(/[?#]/)[0];
+            }
+        }
+
+        // Route Tracking
+        // Single-page apps navigate with the History API, so each route change becomes a virtual page view
+        initRouteTracking() {
+            const analytics = this;
+
+            ['pushState', 'replaceState'].forEach(method => {
+                const original = history[method];
+                if (typeof original !== 'function') return;
+
+                history[method] = function(...args) {
+                    const result = original.apply(this, args);
+                    analytics.scheduleRouteChange();
+                    return result;
+                };
+            });
+
+            window.addEventListener('popstate', () => this.scheduleRouteChange());
+            window.addEventListener('hashchange', () => this.scheduleRouteChange());
+        }
+
+        // Routers often replaceState right after pushState and set the title a moment later, so let the route settle
+        scheduleRouteChange() {
+            clearTimeout(this.routeTimer);
+            this.routeTimer = setTimeout(() => {
+                this.routeTimer = null;
+                if (this.getRouteKey() !== this.routeKey) this.page();
+            }, 100);
+        }
+
+        // Path plus hash routes like #/settings. Query strings are left out, filters and tabs often live there.
+        getRouteKey() {
+            const hash = /^#[/!]/.test(window.location.hash) ? window.location.hash : '';
+            return window.location.pathname + hash;
+        }
+
+        // Records the current location as a new page. Called on route changes, or by hand for routers that don't use the History API.
+        page(properties = {}) {
+            clearTimeout(this.routeTimer);
+            this.routeTimer = null;
+
+            const previousUrl = this.routeUrl;
+            const previousPage = {
+                page: this.routePath,
+                timeOnPage: Date.now() - this.pageStartTime,
+                scrollDepth: this.behaviorData.scrollDepth
+            };
+
+            // The previous route's vitals and responsiveness are final now, like on a hide
+            this.reportOnHide('route_change');
+            this.resetRoute();
+
+            this.trackPageView({
+                referrer: previousUrl,
+                previousPage: previousPage,
+                properties: properties
+            });
+            this.trackJourneyStep(previousUrl);
+            this.updateCartActivity();
+            this.addNavigationBreadcrumb();
+        }
+
+        resetRoute() {
+            this.routeChanges++;
+            this.routeUrl = window.location.href;
+            this.routePath = window.location.pathname;
+            this.routeKey = this.getRouteKey();
+            this.pageStartTime = Date.now();
+            this.behaviorData.scrollDepth = 0;
+            this.behaviorData.timeSpent = 0;
+
+            this.routeResetters.forEach(reset => reset());
+        }
+
+        // Instrumentation
+        // fetch, XHR and console are only wrapped when breadcrumbs or error events need them
+        initInstrumentation() {
+            const categories = this.config.breadcrumbs ? (this.config.breadcrumbCategories || []) : [];
+
+            if (categories.includes('console') || this.config.trackConsoleErrors) this.instrumentConsole();
+            if (categories.includes('network') || this.config.trackNetworkErrors) this.instrumentNetwork();
+        }
+
+        // Requests to our own sinks would otherwise show up in the very data they deliver
+        // Matches the sink's exact path or a path below it (a webhook's /messages/<id> edits), so "/events-archive"
+        // isn't mistaken for a collector at "/events"
+        isOwnRequest(url) {
+            try {
+                const request = new URL(url, window.location.href);
+                return this.sinks.some(sink => {
+                    if (!sink.url) return false;
+                    try {
+                        // Collectors are often same-origin paths like "/collect"
+                        const target = new URL(sink.url, window.location.href);
+                        const path = target.pathname.replace(/\/$/, '');
+                        return request.origin === target.origin &&
+                            (request.pathname === path || request.pathname.startsWith(`${path}/`));
+                    } catch (e) {
+                        return false;
                     }
-                    break;
+                });
+            } catch (e) {
+                return false;
             }
+        }
 
-            return fields;
+        instrumentConsole() {
+            if (this.consoleInstrumented) return;
+            this.consoleInstrumented = true;
+
+            const analytics = this;
+
+            ['warn', 'error'].forEach(level => {
+                const original = console[level];
+
+                console[level] = function (...args) {
+                    // Skip the library's own log output
+                    if (args[0] !== '[Discord Analytics]') {
+                        analytics.handleConsoleMessage(level, args);
+                    }
+                    return original.apply(this, args);
+                };
+            });
         }
 
-        async sendToDiscord(embed) {
-            const payload = {
-                username: this.config.discordBotName,
-                avatar_url: this.config.discordBotAvatar,
-                embeds: [embed]
+        handleConsoleMessage(level, args) {
+            const message = args.map(arg => (arg instanceof Error ? arg.message : typeof arg === 'object' ? this.safeStringify(arg) : String(arg))).join(' ');
+
+            if (this.config.trackConsoleErrors && (this.config.consoleLevels || []).includes(level)) {
+                this.trackConsoleError(level, message, args.find(arg => arg instanceof Error));
+            }
+
+            if (level === 'warn') {
+                this.addBreadcrumb('console', `${level}: ${message}`);
+            }
+        }
+
+        trackConsoleError(level, message, error = null) {
+            this.reportError({
+                type: level === 'warn' ? 'console_warning' : 'console_error',
+                error: {
+                    message: message.substring(0, 500),
+                    level: level,
+                    stack: error?.stack?.substring(0, 500),
+                    frames: this.parseStack(error?.stack)
+                },
+                timestamp: Date.now(),
+                fingerprint: this.fingerprintLabel,
+                sessionId: this.sessionId,
+                page: window.location.pathname
+            });
+        }
+
+        safeStringify(value) {
+            try {
+                return JSON.stringify(value);
+            } catch (e) {
+                return String(value);
+            }
+        }
+
+        instrumentNetwork() {
+            if (this.networkInstrumented) return;
+            this.networkInstrumented = true;
+
+            const analytics = this;
+
+            if (window.fetch) {
+                const originalFetch = window.fetch;
+
+                window.fetch = function (input, init) {
+                    const started = Date.now();
+                    const request = {
+                        method: String(init?.method || input?.method || 'GET').toUpperCase(),
+                        url: typeof input === 'string' ? input : (input?.url || String(input))
+                    };
+
+                    return originalFetch.apply(this, arguments).then(response => {
+                        analytics.handleNetworkResult({ ...request, status: response.status, duration: Date.now() - started });
+                        return response;
+                    }, error => {
+                        // The page cancelled it, e.g. a superseded typeahead lookup, so it didn't fail
+                        if (error?.name !== 'AbortError') {
+                            analytics.handleNetworkResult({ ...request, status: 0, error: error?.message, duration: Date.now() - started });
+                        }
+                        throw error;
+                    });
+                };
+            }
+
+            if (window.XMLHttpRequest) {
+                const proto = XMLHttpRequest.prototype;
+                const originalOpen = proto.open;
+                const originalSend = proto.send;
+
+                proto.open = function (method, url) {
+                    this.__analytikRequest = { method: String(method).toUpperCase(), url: String(url) };
+                    return originalOpen.apply(this, arguments);
+                };
+
+                proto.send = function () {
+                    const request = this.__analytikRequest;
+                    if (request) {
+                        const started = Date.now();
+                        let aborted = false;
+                        this.addEventListener('abort', () => { aborted = true; });
+                        this.addEventListener('loadend', () => {
+                            if (aborted) return;
+                            analytics.handleNetworkResult({ ...request, status: this.status, duration: Date.now() - started });
+                        });
+                    }
+                    return originalSend.apply(this, arguments);
+                };
+            }
+        }
+
+        // Status 0 means the request never got a response: offline, CORS or blocked. Requests the page aborted aren't reported.
+        handleNetworkResult(request) {
+            if (this.isOwnRequest(request.url)) return;
+            if (request.status > 0 && request.status < 400) return;
+
+            const sanitized = { ...request, url: this.sanitizeUrl(request.url) };
+
+            if (this.config.trackNetworkErrors) {
+                this.trackNetworkError(sanitized);
+            }
+
+            this.addBreadcrumb('network', `${sanitized.method} ${sanitized.url} → ${sanitized.status || 'failed'}`);
+        }
+
+        trackNetworkError(request) {
+            this.reportError({
+                type: 'network_error',
+                request: {
+                    method: request.method,
+                    url: request.url,
+                    status: request.status,
+                    duration: request.duration,
+                    error: request.error
+                },
+                error: {
+                    message: `${request.method} ${request.url} → ${request.status || request.error || 'failed'}`
+                },
+                timestamp: Date.now(),
+                fingerprint: this.fingerprintLabel,
+                sessionId: this.sessionId,
+                page: window.location.pathname
+            });
+        }
+
+        // Alerts
+        checkAlerts(eventData) {
+            if (eventData.type === 'alert') return;
+
+            if (this.config.alertOnHighTraffic) {
+                const count = this.countAlertSample('high_traffic', 3600000);
+                if (count >= this.config.alertOnHighTraffic) {
+                    this.raiseAlert('high_traffic', { count, window: 3600000, threshold: this.config.alertOnHighTraffic }, eventData);
+                }
+            }
+
+            if (this.config.alertOnErrors && ['javascript_error', 'promise_rejection', 'network_error', 'console_error'].includes(eventData.type)) {
+                const count = this.countAlertSample('error_rate', this.config.alertErrorWindow);
+                if (count >= this.config.alertErrorThreshold) {
+                    this.raiseAlert('error_rate', {
+                        count,
+                        window: this.config.alertErrorWindow,
+                        threshold: this.config.alertErrorThreshold,
+                        message: this.getSimpleDetails(eventData)[0]
+                    }, eventData);
+                }
+            }
+
+            if (this.config.alertOnSuspiciousActivity && ['suspicious_activity', 'fraud_detected'].includes(eventData.type)) {
+                this.raiseAlert(eventData.type, {
+                    activity: eventData.activity?.type,
+                    fraudScore: eventData.activity ? eventData.activity.fraudScore : eventData.fraudScore
+                }, eventData);
+            }
+        }
+
+        // Counters and cooldowns live in localStorage so an incident that spans reloads and tabs still pages once
+        loadAlertState() {
+            if (!this.alertState) {
+                try {
+                    this.alertState = JSON.parse(localStorage.getItem('da_alerts') || 'null');
+                } catch (e) {
+                    // Storage not available
+                }
+                this.alertState = this.alertState || { samples: {}, cooldowns: {}, suppressed: {} };
+            }
+            return this.alertState;
+        }
+
+        storeAlertState() {
+            try {
+                localStorage.setItem('da_alerts', JSON.stringify(this.alertState));
+            } catch (e) {
+                // Storage not available
+            }
+        }
+
+        // Sliding window counter kept as 60 buckets, so an hour of traffic stays small in storage
+        countAlertSample(name, window) {
+            const state = this.loadAlertState();
+            const now = Date.now();
+            const bucketSize = Math.max(Math.floor(window / 60), 1000);
+            const bucket = now - (now % bucketSize);
+
+            const buckets = (state.samples[name] || []).filter(([start]) => start > now - window);
+            const last = buckets[buckets.length - 1];
+            if (last && last[0] === bucket) {
+                last[1]++;
+            } else {
+                buckets.push([bucket, 1]);
+            }
+
+            state.samples[name] = buckets;
+            this.storeAlertState();
+            return buckets.reduce((sum, [, count]) => sum + count, 0);
+        }
+
+        raiseAlert(kind, details, eventData) {
+            const state = this.loadAlertState();
+            const now = Date.now();
+
+            if (now < (state.cooldowns[kind] || 0)) {
+                state.suppressed[kind] = (state.suppressed[kind] || 0) + 1;
+                this.storeAlertState();
+                return;
+            }
+
+            const alert = {
+                type: 'alert',
+                alert: { kind, ...details, trigger: eventData.type, suppressed: state.suppressed[kind] || 0 },
+                mentions: this.config.alertMentions,
+                timestamp: now,
+                fingerprint: this.fingerprintLabel,
+                sessionId: this.sessionId,
+                page: window.location.pathname
             };
 
-            // Add action buttons if enabled
-            if (this.config.enableEmbedButtons && this.config.embedButtons) {
-                payload.components = [{
-                    type: 1, // Action Row
-                    components: this.config.embedButtons.map(button => ({
-                        type: 2, // Button
-                        style: this.getButtonStyle(button.style),
-                        label: button.label,
-                        url: button.url.replace('{fingerprint}', this.fingerprintLabel)
-                    }))
-                }];
+            state.cooldowns[kind] = now + this.config.alertCooldown;
+            state.suppressed[kind] = 0;
+            this.storeAlertState();
+
+            // Alerts skip sampling, digests and the session card, and go out right away.
+            // A hidden page may be unloading, and only a beacon survives that.
+            this.getSinksForEvent(alert, true).forEach(sink => {
+                const transport = this.transports.get(sink.type);
+                if (document.visibilityState === 'hidden' && transport && transport.beacon) {
+                    transport.beacon([alert], sink);
+                } else {
+                    this.deliver(sink, [this.createQueueEntry(sink, alert)]);
+                }
+            });
+        }
+
+        getAlertSummary(alert) {
+            switch (alert.kind) {
+                case 'error_rate':
+                    return `${alert.count} errors in the last ${this.formatDuration(alert.window)} (threshold ${alert.threshold})\nLatest: ${alert.message}`;
+                case 'high_traffic':
+                    return `${alert.count} events in the last hour (threshold ${alert.threshold})`;
+                case 'suspicious_activity':
+                    return `Suspicious activity: ${alert.activity} (fraud score ${alert.fraudScore})`;
+                case 'fraud_detected':
+                    return `Fraud detected (score ${alert.fraudScore})`;
+                case 'responsiveness':
+                    return `Janky page: ${alert.totalBlockingTime}ms blocking time, worst ${alert.worst}ms${alert.source ? `\nWorst script: ${alert.source}` : ''}`;
+                default:
+                    return alert.kind;
+            }
+        }
+
+        getMentionLine(mentions) {
+            return [
+                ...(mentions.roles || []).map(id => `<@&${id}>`),
+                ...(mentions.users || []).map(id => `<@${id}>`)
+            ].join(' ');
+        }
+
+        getAllowedMentions(events) {
+            const roles = new Set();
+            const users = new Set();
+
+            events.forEach(eventData => {
+                (eventData.mentions?.roles || []).forEach(id => roles.add(String(id)));
+                (eventData.mentions?.users || []).forEach(id => users.add(String(id)));
+            });
+
+            return { parse: [], roles: [...roles], users: [...users] };
+        }
+
+        // Generic HTTP Collector
+        createCollectorPayload(events) {
+            return {
+                sentAt: Date.now(),
+                events: events
+            };
+        }
+
+        async sendToCollector(events, sink) {
+            const response = await fetch(sink.url, {
+                method: sink.method || 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(sink.headers || {})
+                },
+                body: JSON.stringify(this.createCollectorPayload(events))
+            });
+
+            if (!response.ok) {
+                const retryAfter = parseFloat(response.headers.get('Retry-After'));
+                throw this.createDeliveryError('Collector error', response, isNaN(retryAfter) ? null : retryAfter * 1000);
+            }
+        }
+
+        beaconToCollector(events, sink) {
+            // sendBeacon can't carry custom headers, so collectors must accept the body alone
+            const body = JSON.stringify(this.createCollectorPayload(events));
+            const size = this.getByteLength(body);
+            if (!this.reserveExitBytes(size)) return false;
+
+            if (!navigator.sendBeacon) {
+                return fetch(sink.url, { method: 'POST', body: body, keepalive: true })
+                    .then(response => response.ok, () => false)
+                    .finally(() => this.releaseExitBytes(size));
+            }
+
+            // The browser refuses the beacon when its own queue is full
+            const queued = navigator.sendBeacon(sink.url, body);
+            if (!queued) this.releaseExitBytes(size);
+            return queued;
+        }
+
+        // Event Queue
+        createQueueEntry(sink, eventData) {
+            return {
+                // Time-ordered IDs keep the persisted queue sorted oldest first
+                id: Date.now().toString(36).padStart(9, '0') + Math.random().toString(36).substr(2, 8),
+                sinkId: sink.id,
+                event: eventData,
+                attempts: 0,
+                retryAt: 0,
+                queuedAt: Date.now(),
+                persisted: false
+            };
+        }
+
+        queueEvent(sink, eventData) {
+            const entry = this.createQueueEntry(sink, eventData);
+            this.eventQueue.push(entry);
+
+            if (!this.isOnline) {
+                this.persistQueueEntry(entry);
+            }
+            
+            if (this.eventQueue.length >= this.config.batchSize) {
+                this.flushEventQueue();
+            } else {
+                this.scheduleFlush(this.config.flushInterval);
             }
+        }
+
+        async flushEventQueue() {
+            if (this.isFlushing || !this.isOnline || this.eventQueue.length === 0) return;
+
+            this.isFlushing = true;
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
 
             try {
-                const response = await fetch(this.config.webhook, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify(payload)
+                const now = Date.now();
+                const groups = new Map();
+                const blocked = new Set();
+                const pending = [];
+                let taken = 0;
+
+                // A sink waiting on a retry holds back its later events to keep them in order
+                this.eventQueue.forEach(entry => {
+                    const ready = entry.retryAt <= now && !blocked.has(entry.sinkId) && taken < this.config.batchSize;
+
+                    if (!ready) {
+                        blocked.add(entry.sinkId);
+                        pending.push(entry);
+                        return;
+                    }
+
+                    if (!groups.has(entry.sinkId)) groups.set(entry.sinkId, []);
+                    groups.get(entry.sinkId).push(entry);
+                    taken++;
                 });
 
-                if (!response.ok) {
-                    throw new Error(`Discord API error: ${response.status}`);
+                this.eventQueue = pending;
+
+                // Sinks are delivered side by side, so one waiting out a rate limit doesn't hold up the others
+                await Promise.all([...groups].map(async ([sinkId, entries]) => {
+                    const sink = this.getSink(sinkId);
+                    if (!sink) {
+                        // The sink was removed or reconfigured after these were queued
+                        const error = new Error(`Unknown sink: ${sinkId}`);
+                        this.log(`${error.message}, ${entries.length} event(s) dropped`, 'warn');
+                        entries.forEach(entry => this.addDeadLetter(entry, error));
+                        return;
+                    }
+
+                    const transport = this.transports.get(sink.type);
+                    const batches = transport && transport.pack ? this.packEntries(transport, entries, sink) : [entries];
+
+                    for (let i = 0; i < batches.length; i++) {
+                        const rest = batches.slice(i + 1).flat();
+                        if (!(await this.deliver(sink, batches[i], rest))) break;
+                    }
+                }));
+            } finally {
+                this.isFlushing = false;
+            }
+
+            this.scheduleFlush();
+        }
+
+        scheduleFlush(delay = 0) {
+            if (this.eventQueue.length === 0 || !this.isOnline) return;
+
+            const now = Date.now();
+            const nextReady = Math.min(...this.eventQueue.map(entry => {
+                const sink = this.getSink(entry.sinkId);
+                return Math.max(entry.retryAt, sink ? now + this.getRateLimitWait(sink) : now);
+            }));
+            const flushAt = Math.max(nextReady, now + delay);
+
+            // Never push back a flush that's already due sooner
+            if (this.flushTimer && this.flushAt <= flushAt) return;
+
+            clearTimeout(this.flushTimer);
+            this.flushAt = flushAt;
+            this.flushTimer = setTimeout(() => {
+                this.flushTimer = null;
+                this.flushEventQueue();
+            }, flushAt - now);
+        }
+
+        // Hands whatever is still queued to each transport's exit delivery so it survives the page going away.
+        // A transport's beacon() returns true once the events are handed off, or a promise of whether they were
+        // delivered. Whatever doesn't go out stays queued and persisted for the next page load.
+        flushQueueOnExit() {
+            if (this.eventQueue.length === 0) return;
+
+            // Offline exit requests are lost, so leave the queue in IndexedDB for the next page load
+            if (!this.isOnline) {
+                this.eventQueue.forEach(entry => this.persistQueueEntry(entry));
+                return;
+            }
+
+            const groups = new Map();
+            this.eventQueue.forEach(entry => {
+                if (!groups.has(entry.sinkId)) groups.set(entry.sinkId, []);
+                groups.get(entry.sinkId).push(entry);
+            });
+
+            const held = [];
+
+            groups.forEach((entries, sinkId) => {
+                const sink = this.getSink(sinkId);
+                const transport = sink && this.transports.get(sink.type);
+
+                // The page won't be around to wait out a rate limit
+                if (!transport || !transport.beacon || this.getRateLimitWait(sink) > 0) {
+                    held.push(...entries);
+                    return;
                 }
 
-                this.log('Event sent to Discord successfully');
-            } catch (error) {
-                this.log(`Failed to send to Discord: ${error.message}`, 'error');
-                
-                // Queue for retry if online
-                if (this.isOnline) {
-                    this.queueEvent(embed);
+                // Smaller requests let as much as possible fit the exit budget
+                const batches = transport.pack ? this.packEntries(transport, entries, sink) : this.chunkEntries(entries, this.config.batchSize);
+
+                for (let i = 0; i < batches.length; i++) {
+                    const batch = batches[i];
+                    const result = transport.beacon(batch.map(entry => entry.event), sink);
+
+                    if (result === true) {
+                        this.removePersistedEntries(batch);
+                    } else if (result && typeof result.then === 'function') {
+                        // There's no telling whether the page outlives the request, so it stays persisted until it succeeds
+                        batch.forEach(entry => this.persistQueueEntry(entry));
+                        result.then(delivered => {
+                            if (delivered) {
+                                this.removePersistedEntries(batch);
+                            } else {
+                                this.eventQueue.unshift(...batch);
+                            }
+                        });
+                    } else {
+                        // Later batches wait behind one that didn't go out, to keep the sink's events in order
+                        held.push(...batches.slice(i).flat());
+                        break;
+                    }
                 }
+            });
+
+            this.eventQueue = held;
+            held.forEach(entry => this.persistQueueEntry(entry));
+        }
+
+        // The entries are already off the queue, so an event whose renderer throws is dead-lettered on its own
+        // rather than losing the whole flush
+        packEntries(transport, entries, sink) {
+            try {
+                return transport.pack(entries, sink);
+            } catch (error) {
+                const packable = entries.filter(entry => {
+                    try {
+                        transport.pack([entry], sink);
+                        return true;
+                    } catch (entryError) {
+                        this.log(`Failed to render ${entry.event.type} for ${sink.id}: ${entryError.message}`, 'error');
+                        this.addDeadLetter(entry, entryError);
+                        return false;
+                    }
+                });
+
+                return packable.length > 0 ? transport.pack(packable, sink) : [];
+            }
+        }
+
+        chunkEntries(entries, size) {
+            const chunks = [];
+            for (let i = 0; i < entries.length; i += size) chunks.push(entries.slice(i, i + size));
+            return chunks;
+        }
+
+        flushOfflineEvents() {
+            if (this.eventQueue.length > 0) {
+                this.log(`Flushing ${this.eventQueue.length} offline events`);
+                this.flushEventQueue();
+            }
+        }
+
+        // Offline Storage
+        runQueueTransaction(mode, callback) {
+            return this.openDatabase().then(db => new Promise((resolve, reject) => {
+                const transaction = db.transaction(['eventQueue'], mode);
+                const result = callback(transaction.objectStore('eventQueue'));
+
+                transaction.oncomplete = () => resolve(result && result.result);
+                transaction.onerror = () => reject(transaction.error);
+            }));
+        }
+
+        async persistQueueEntry(entry) {
+            if (!this.config.offlineStorage || !window.indexedDB || entry.persisted) return;
+
+            entry.persisted = true;
+
+            try {
+                await this.runQueueTransaction('readwrite', store => {
+                    store.put(entry);
+                    this.trimOfflineStore(store);
+                });
+            } catch (e) {
+                entry.persisted = false;
+                this.log('Failed to persist offline event', 'warn');
+            }
+        }
+
+        async removePersistedEntries(entries) {
+            const persisted = entries.filter(entry => entry.persisted);
+            if (persisted.length === 0) return;
+
+            try {
+                await this.runQueueTransaction('readwrite', store => {
+                    persisted.forEach(entry => store.delete(entry.id));
+                });
+                persisted.forEach(entry => { entry.persisted = false; });
+            } catch (e) {
+                this.log('Failed to remove delivered offline events', 'warn');
             }
         }
 
-        queueEvent(embed) {
-            this.eventQueue.push(embed);
-            
-            if (this.eventQueue.length >= this.config.batchSize) {
-                this.flushEventQueue();
-            }
-        }
+        // Runs inside the write transaction so concurrent writes can't over-trim
+        trimOfflineStore(store) {
+            store.count().onsuccess = (event) => {
+                let excess = event.target.result - this.config.offlineStorageMaxSize;
+                if (excess <= 0) return;
 
-        async flushEventQueue() {
-            if (this.eventQueue.length === 0) return;
+                this.log(`Offline storage full, dropping ${excess} oldest event(s)`, 'warn');
 
-            const events = this.eventQueue.splice(0, this.config.batchSize);
-            
-            for (const embed of events) {
-                await this.sendToDiscord(embed);
-                await this.delay(100); // Rate limiting
-            }
+                // Keys are time-ordered, so the cursor drops the oldest events first
+                store.openCursor().onsuccess = (cursorEvent) => {
+                    const cursor = cursorEvent.target.result;
+                    if (!cursor || excess <= 0) return;
+
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                };
+            };
         }
 
-        flushOfflineEvents() {
-            if (this.eventQueue.length > 0) {
-                this.log(`Flushing ${this.eventQueue.length} offline events`);
-                this.flushEventQueue();
+        async restoreOfflineEvents() {
+            if (!this.config.offlineStorage || !window.indexedDB) return;
+
+            try {
+                // Other open tabs restore from the same store, so the entries are claimed (read and deleted) in one
+                // transaction and only one tab replays them. They're persisted again if they fail or are still queued at exit.
+                const stored = await this.runQueueTransaction('readwrite', store => {
+                    const request = store.getAll();
+                    request.onsuccess = () => request.result.forEach(entry => store.delete(entry.id));
+                    return request;
+                });
+                const now = Date.now();
+                const claimed = new Set(stored.map(entry => entry.id));
+
+                // This tab's own entries were claimed along with the rest
+                this.eventQueue.forEach(entry => {
+                    if (claimed.has(entry.id)) entry.persisted = false;
+                });
+
+                const queued = new Set(this.eventQueue.map(entry => entry.id));
+                const restored = stored.filter(entry => now - entry.queuedAt <= this.config.offlineStorageTTL &&
+                    this.getSink(entry.sinkId) && !queued.has(entry.id));
+
+                if (restored.length > 0) {
+                    // Events from earlier page loads go ahead of anything queued on this one
+                    this.eventQueue.unshift(...restored.map(entry => ({ ...entry, retryAt: 0, persisted: false })));
+                    this.flushOfflineEvents();
+                }
+            } catch (e) {
+                this.log('Failed to restore offline events', 'warn');
             }
         }
 
         // Utility Methods
-        shouldSendEvent(eventData) {
-            // Sampling
-            if (Math.random() > this.config.samplingRate) return false;
-
+        isExcludedEvent(eventData) {
             // Page exclusions
             if (this.config.excludePages.some(page => window.location.pathname.includes(page))) {
-                return false;
+                return true;
             }
 
             // User agent exclusions
             if (this.config.excludeUsers.some(user => navigator.userAgent.toLowerCase().includes(user))) {
-                return false;
+                return true;
             }
 
-            return true;
+            return false;
         }
 
         isExcludedElement(element) {
@@ -1066,6 +3887,51 @@
             return null;
         }
 
+        // A session spans page loads in the tab until it's idle for sessionTimeout, so per-session state in sessionStorage carries over
+        restoreSession() {
+            let stored = null;
+            try {
+                stored = JSON.parse(sessionStorage.getItem('da_session') || 'null');
+            } catch (e) {
+                // Storage not available
+            }
+
+            if (stored && stored.id && Date.now() - stored.lastActivity < this.config.sessionTimeout) {
+                this.sessionId = stored.id;
+                this.sessionStart = stored.startedAt;
+            } else {
+                this.sessionId = this.generateSessionId();
+                this.sessionStart = Date.now();
+            }
+
+            this.touchSession();
+        }
+
+        // A tab left idle past sessionTimeout starts a new session with its next event
+        touchSession() {
+            const now = Date.now();
+            if (this.sessionActivity && now - this.sessionActivity >= this.config.sessionTimeout) {
+                this.sessionId = this.generateSessionId();
+                this.sessionStart = now;
+
+                // The old session's card is done, the next card event posts a new one
+                clearTimeout(this.sessionCardTimer);
+                this.sessionCardTimer = null;
+                this.sessionCard = null;
+            }
+            this.sessionActivity = now;
+
+            try {
+                sessionStorage.setItem('da_session', JSON.stringify({
+                    id: this.sessionId,
+                    startedAt: this.sessionStart,
+                    lastActivity: now
+                }));
+            } catch (e) {
+                // Storage not available
+            }
+        }
+
         generateSessionId() {
             return Date.now().toString(36) + Math.random().toString(36).substr(2);
         }
@@ -2028,18 +4894,9 @@
             }
         }
 
+        // The journey is stored step by step as it happens, so all that's left at unload is noting where a cart was left
         endSession() {
-            this.userJourney.currentSession.endTime = Date.now();
-            this.userJourney.currentSession.duration = this.userJourney.currentSession.endTime - this.userJourney.currentSession.startTime;
-            
-            this.userJourney.sessions.push(this.userJourney.currentSession);
-            
-            // Keep only last 50 sessions
-            if (this.userJourney.sessions.length > 50) {
-                this.userJourney.sessions = this.userJourney.sessions.slice(-50);
-            }
-
-            this.saveUserJourney();
+            this.updateCartActivity();
         }
 
         // Session Replay System
@@ -2118,10 +4975,12 @@
             const path = [];
             while (element && element !== document.body) {
                 let selector = element.tagName.toLowerCase();
+                // SVG elements have an SVGAnimatedString className
+                const className = typeof element.className === 'string' ? element.className.trim() : '';
                 if (element.id) {
                     selector += '#' + element.id;
-                } else if (element.className) {
-                    selector += '.' + element.className.split(' ').join('.');
+                } else if (className) {
+                    selector += '.' + className.split(/\s+/).join('.');
                 }
                 path.unshift(selector);
                 element = element.parentElement;
@@ -2151,29 +5010,335 @@
             return Math.abs(hash).toString(16);
         }
 
-        // Additional tracking methods would continue here...
+        // Media
+        // One media_session per element and playback, sent when it ends, its source changes, it leaves the page on a route change,
+        // or the page unloads
         setupMediaTracking() {
-            document.addEventListener('play', (e) => {
-                if (e.target.matches('video, audio')) {
-                    this.trackMediaEvent('play', e.target);
+            const handlers = {
+                play: (session, element) => {
+                    session.plays++;
+                    session.lastTime = element.currentTime;
+                },
+                playing: (session, element) => {
+                    this.stopMediaBuffering(session);
+                    session.lastTime = element.currentTime;
+                },
+                timeupdate: (session, element) => this.updateMediaProgress(session, element),
+                pause: (session, element) => {
+                    this.updateMediaProgress(session, element);
+                    this.stopMediaBuffering(session);
+                    session.lastTime = null;
+                },
+                seeking: (session) => {
+                    session.seeks++;
+                    session.lastTime = null;
+                },
+                seeked: (session, element) => {
+                    if (!element.paused) session.lastTime = element.currentTime;
+                },
+                waiting: (session) => {
+                    if (!session.waitingSince) {
+                        session.waitingSince = Date.now();
+                        session.bufferingCount++;
+                    }
+                },
+                ratechange: (session, element) => {
+                    if (!session.playbackRates.includes(element.playbackRate)) {
+                        session.playbackRates.push(element.playbackRate);
+                    }
+                },
+                ended: (session, element) => {
+                    this.updateMediaProgress(session, element);
+                    session.completed = true;
+                    if (!session.milestones.includes(100)) session.milestones.push(100);
+                    this.reportMediaSession(element, 'ended');
+                },
+                emptied: (session, element) => this.reportMediaSession(element, 'source_changed')
+            };
+
+            // Media events don't bubble, so they're only seen while capturing
+            Object.entries(handlers).forEach(([type, handler]) => {
+                document.addEventListener(type, (e) => {
+                    const element = e.target;
+                    if (!(element instanceof HTMLMediaElement) || this.isExcludedElement(element)) return;
+
+                    // Loading and buffering before the first play isn't a viewing session yet
+                    let session = this.mediaSessions.get(element);
+                    if (!session) {
+                        if (type !== 'play') return;
+                        session = this.createMediaSession(element);
+                        this.mediaSessions.set(element, session);
+                    }
+
+                    handler(session, element);
+                }, true);
+            });
+
+            // A hidden tab can come back and keep playing, so it only gets a snapshot and the session stays open.
+            // On a route change only players the new route removed are done; a persistent player carries on.
+            this.hideReporters.push(reason => {
+                [...this.mediaSessions.keys()].forEach(element => {
+                    if (reason === 'route_change' && element.isConnected) return;
+                    this.reportMediaSession(element, reason, reason !== 'page_hidden');
+                });
+            });
+        }
+
+        createMediaSession(element) {
+            return {
+                src: element.currentSrc || element.src || null,
+                plays: 0,
+                watched: 0,
+                lastTime: null,
+                milestones: [],
+                completed: false,
+                seeks: 0,
+                bufferingTime: 0,
+                bufferingCount: 0,
+                waitingSince: null,
+                playbackRates: [element.playbackRate],
+                reported: null,
+                // A session can outlive the route it started on
+                page: this.routePath
+            };
+        }
+
+        // Watched time only grows with playback, so seeking ahead or scrubbing back isn't counted as watching
+        updateMediaProgress(session, element) {
+            const current = element.currentTime;
+            const previous = session.lastTime;
+            if (previous === null || element.seeking) return;
+
+            session.lastTime = current;
+
+            const delta = current - previous;
+            if (delta <= 0 || delta > 5) return;
+
+            session.watched += delta;
+
+            const duration = element.duration;
+            if (!isFinite(duration) || duration <= 0) return;
+
+            // A milestone only counts when playback passes it, not when a seek jumps over it
+            [25, 50, 75].forEach(milestone => {
+                const position = duration * milestone / 100;
+                if (previous < position && current >= position && !session.milestones.includes(milestone)) {
+                    session.milestones.push(milestone);
                 }
-            }, true);
+            });
+        }
+
+        stopMediaBuffering(session) {
+            if (!session.waitingSince) return;
+            session.bufferingTime += Date.now() - session.waitingSince;
+            session.waitingSince = null;
+        }
+
+        // A snapshot (final = false) leaves the session open; the final report is skipped if nothing changed since the snapshot
+        reportMediaSession(element, reason, final = true) {
+            const session = this.mediaSessions.get(element);
+            if (!session) return;
+
+            this.updateMediaProgress(session, element);
+            if (final) {
+                this.mediaSessions.delete(element);
+                this.stopMediaBuffering(session);
+            }
+
+            const duration = isFinite(element.duration) ? element.duration : null;
+            const bufferingTime = session.bufferingTime + (session.waitingSince ? Date.now() - session.waitingSince : 0);
+
+            const media = {
+                type: element.tagName.toLowerCase(),
+                src: session.src ? (session.src.startsWith('blob:') ? 'blob' : this.sanitizeUrl(session.src)) : null,
+                title: element.title || element.getAttribute('aria-label') || null,
+                duration: duration !== null ? Math.round(duration) : null,
+                watchedSeconds: Math.round(session.watched),
+                milestones: [...session.milestones].sort((a, b) => a - b),
+                completed: session.completed,
+                plays: session.plays,
+                seeks: session.seeks,
+                bufferingTime: Math.round(bufferingTime),
+                bufferingCount: session.bufferingCount,
+                playbackRates: session.playbackRates
+            };
+
+            const snapshot = JSON.stringify(media);
+            if (snapshot === session.reported) return;
+            session.reported = snapshot;
+
+            this.sendEvent({
+                type: 'media_session',
+                media: { ...media, endReason: reason },
+                timestamp: Date.now(),
+                fingerprint: this.fingerprintLabel,
+                sessionId: this.sessionId,
+                page: session.page
+            });
+        }
+
+        setupDownloadTracking() {
+            document.addEventListener('click', (e) => {
+                if (!(e.target instanceof Element)) return;
 
-            document.addEventListener('pause', (e) => {
-                if (e.target.matches('video, audio')) {
-                    this.trackMediaEvent('pause', e.target);
+                // Tagged elements can be buttons that build the file in script, so they don't need an href
+                const element = e.target.closest('[data-analytik-download], a[href], area[href]');
+                if (!element || this.isExcludedElement(element)) return;
+
+                const download = this.getDownloadInfo(element);
+                if (download) this.trackDownload(download, element);
+            });
+        }
+
+        // Returns null for links that aren't downloads
+        getDownloadInfo(element) {
+            const tag = element.getAttribute('data-analytik-download');
+            if (tag === 'false') return null;
+
+            const href = element.getAttribute('href');
+            let url = null;
+            if (href) {
+                try {
+                    url = new URL(href, window.location.href);
+                } catch (e) {
+                    // Keep going, a tagged element is a download even without a usable URL
                 }
-            }, true);
+            }
+
+            const isFileUrl = url && (url.protocol === 'blob:' || url.protocol === 'data:');
+            const isWebUrl = url && (url.protocol === 'http:' || url.protocol === 'https:');
+
+            // Only the pathname, so "/docs.pdf-viewer" or "?format=pdf" don't look like files
+            const pathFilename = isWebUrl ? this.safeDecode(url.pathname.split('/').pop()) : '';
+            const filename = tag || element.getAttribute('download') || pathFilename || null;
+            const extension = this.getFileExtension(filename);
+
+            const mimeType = element.getAttribute('type') ||
+                (url && url.protocol === 'data:' ? url.pathname.split(/[;,]/)[0] : null) || null;
+            const category = this.getDownloadCategory(extension, mimeType);
+
+            const isDownload = tag !== null ||
+                element.hasAttribute('download') ||
+                isFileUrl ||
+                (isWebUrl && this.getDownloadExtensions().includes(this.getFileExtension(pathFilename))) ||
+                (isWebUrl && !!mimeType && category !== 'other');
+
+            if (!isDownload) return null;
+
+            return {
+                // Blob URLs only live in this tab and data URLs are the file itself, so neither is worth sending
+                url: isWebUrl ? this.sanitizeUrl(url.href) : null,
+                source: isWebUrl ? 'link' : (url ? url.protocol.slice(0, -1) : 'element'),
+                filename: filename ? this.truncateText(filename, 200) : null,
+                extension: extension,
+                category: category,
+                mimeType: mimeType
+            };
+        }
+
+        // Accepts ".PDF" as well as "pdf" in the config
+        getDownloadExtensions() {
+            return (this.config.downloadExtensions || []).map(extension => String(extension).replace(/^\./, '').toLowerCase());
+        }
+
+        getFileExtension(filename) {
+            const match = /\.([a-z0-9]+)$/i.exec(filename || '');
+            return match ? match[1].toLowerCase() : null;
+        }
+
+        getDownloadCategory(extension, mimeType) {
+            const type = (mimeType || '').toLowerCase();
+            const match = Object.entries(DOWNLOAD_CATEGORIES).find(([, category]) => {
+                return (extension && category.extensions.includes(extension)) ||
+                    (type && category.mimeTypes.some(pattern => pattern.test(type)));
+            });
+
+            return match ? match[0] : 'other';
         }
 
-        trackMediaEvent(action, element) {
+        safeDecode(value) {
+            try {
+                return decodeURIComponent(value);
+            } catch (e) {
+                return value;
+            }
+        }
+
+        trackDownload(download, element) {
             const event = {
-                type: 'media_' + action,
-                media: {
-                    type: element.tagName.toLowerCase(),
-                    src: element.src,
-                    currentTime: element.currentTime,
-                    duration: element.duration
+                type: 'download',
+                download: {
+                    ...download,
+                    text: this.truncateText((element.textContent || '').replace(/\s+/g, ' ').trim(), 100)
+                },
+                timestamp: Date.now(),
+                fingerprint: this.fingerprintLabel,
+                sessionId: this.sessionId,
+                page: window.location.pathname
+            };
+
+            this.sendEvent(event);
+        }
+
+        setupMouseTracking() {
+            let mouseData = { moves: 0, clicks: 0, lastMove: 0 };
+            
+            document.addEventListener('mousemove', (e) => {
+                mouseData.moves++;
+                mouseData.lastMove = Date.now();
+                
+                // Sample mouse movements (every 100th move)
+                if (mouseData.moves % 100 === 0) {
+                    this.trackMouseMovement(e, mouseData);
+                }
+            });
+        }
+
+        trackMouseMovement(event, data) {
+            const mouseEvent = {
+                type: 'mouse_movement',
+                mouse: {
+                    x: event.clientX,
+                    y: event.clientY,
+                    moves: data.moves,
+                    viewport: `${window.innerWidth}x${window.innerHeight}`
+                },
+                timestamp: Date.now(),
+                fingerprint: this.fingerprintLabel,
+                sessionId: this.sessionId,
+                page: window.location.pathname
+            };
+
+            this.sendEvent(mouseEvent);
+        }
+
+        trackFormInteraction(event) {
+            const field = event.target;
+            const interaction = {
+                type: 'form_interaction',
+                field: {
+                    type: field.type,
+                    name: field.name,
+                    id: field.id,
+                    value: this.config.maskPII && this.isPII(field.name) ? '[masked]' : field.value?.substring(0, 50)
+                },
+                timestamp: Date.now(),
+                fingerprint: this.fingerprintLabel,
+                sessionId: this.sessionId,
+                page: window.location.pathname
+            };
+
+            this.sendEvent(interaction);
+        }
+
+        trackPromiseRejection(event) {
+            const stack = event.reason?.stack;
+            const errorData = {
+                type: 'promise_rejection',
+                error: {
+                    reason: event.reason?.toString().substring(0, 200),
+                    stack: stack?.substring(0, 500),
+                    frames: this.parseStack(stack)
                 },
                 timestamp: Date.now(),
                 fingerprint: this.fingerprintLabel,
@@ -2181,105 +5346,256 @@
                 page: window.location.pathname
             };
 
-            this.sendEvent(event);
+            this.reportError(errorData);
+        }
+
+        // Error Grouping
+        // The first occurrence of an error is sent right away, repeats are rolled into one update per errorGroupInterval
+        reportError(errorData) {
+            if (this.config.breadcrumbs) {
+                errorData.breadcrumbs = this.getBreadcrumbs();
+            }
+
+            if (!this.config.groupErrors) {
+                this.sendEvent(errorData, true); // High priority
+                return;
+            }
+
+            const groups = this.loadErrorGroups();
+            const signature = this.getErrorSignature(errorData);
+            const now = Date.now();
+            const group = groups[signature];
+
+            errorData.error.signature = signature;
+
+            if (!group) {
+                groups[signature] = {
+                    type: errorData.type,
+                    message: this.getSimpleDetails(errorData)[0] || 'Unknown error',
+                    firstSeen: now,
+                    lastSeen: now,
+                    count: 1,
+                    pending: 0,
+                    pages: [errorData.page]
+                };
+                this.storeErrorGroups();
+                this.sendEvent(errorData, true); // High priority
+                return;
+            }
+
+            group.lastSeen = now;
+            group.count++;
+            group.pending++;
+            if (!group.pages.includes(errorData.page)) {
+                group.pages = [...group.pages, errorData.page].slice(-50);
+            }
+            this.storeErrorGroups();
+
+            // Repeats still count towards the error rate alert
+            if (!this.isExcludedEvent(errorData)) this.checkAlerts(errorData);
+
+            if (!this.errorGroupTimer) {
+                this.errorGroupTimer = setTimeout(() => this.flushErrorGroups(), this.config.errorGroupInterval);
+            }
+        }
+
+        // Same error, same place: digits in the message and the stack's line noise don't split a group
+        getErrorSignature(errorData) {
+            const error = errorData.error;
+            const message = String(error.message || error.reason || '').replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+            const top = (error.frames || this.parseStack(error.stack)).find(frame => frame.inApp);
+            const frame = top ? `${top.function}@${top.file.split(/[?#]/)[0]}:${top.line}` : '';
+            const file = (error.filename || '').split(/[?#]/)[0];
+
+            return this.hashFingerprint([errorData.type, message, frame, file].join('|'));
+        }
+
+        // Resource Errors
+        // Each failed URL is reported once per session. The report waits resourceErrorDelay so repeats on the page add up.
+        trackResourceError(event) {
+            const element = event.target;
+            if (!(element instanceof Element)) return; // Script errors are handled by trackError
+
+            const url = element.currentSrc || element.src || element.href;
+            if (!url || this.isOwnRequest(url)) return;
+
+            const errors = this.loadResourceErrors();
+            const key = this.sanitizeUrl(url);
+            const now = Date.now();
+            const entry = errors[key] || (errors[key] = {
+                element: element.tagName.toLowerCase(),
+                count: 0,
+                firstSeen: now,
+                reported: false
+            });
+
+            entry.count++;
+            entry.lastSeen = now;
+            this.storeResourceErrors();
+
+            if (!entry.reported && !this.resourceErrorTimer) {
+                this.resourceErrorTimer = setTimeout(() => this.flushResourceErrors(), this.config.resourceErrorDelay);
+            }
+        }
+
+        loadResourceErrors() {
+            if (!this.resourceErrors) {
+                try {
+                    const stored = JSON.parse(sessionStorage.getItem('da_resource_errors') || 'null');
+                    if (stored && stored.sessionId === this.sessionId) this.resourceErrors = stored.urls;
+                } catch (e) {
+                    // Storage not available
+                }
+                this.resourceErrors = this.resourceErrors || {};
+            }
+            return this.resourceErrors;
+        }
+
+        storeResourceErrors() {
+            try {
+                sessionStorage.setItem('da_resource_errors', JSON.stringify({ sessionId: this.sessionId, urls: this.resourceErrors }));
+            } catch (e) {
+                // Storage not available
+            }
+        }
+
+        flushResourceErrors() {
+            clearTimeout(this.resourceErrorTimer);
+            this.resourceErrorTimer = null;
+
+            const errors = this.loadResourceErrors();
+            Object.entries(errors).forEach(([url, entry]) => {
+                if (entry.reported) return;
+
+                entry.reported = true;
+                this.sendEvent({
+                    type: 'resource_error',
+                    resource: {
+                        url: url,
+                        element: entry.element,
+                        count: entry.count,
+                        firstSeen: entry.firstSeen
+                    },
+                    timestamp: Date.now(),
+                    fingerprint: this.fingerprintLabel,
+                    sessionId: this.sessionId,
+                    page: window.location.pathname
+                });
+            });
+
+            this.storeResourceErrors();
+        }
+
+        // Stack Traces
+        // Handles Chrome/Edge ("at fn (file:1:2)"), Firefox and Safari ("fn@file:1:2") formats.
+        // Frames without a location, like "[native code]", are skipped.
+        parseStack(stack) {
+            if (!stack) return [];
+
+            return String(stack).split('\n')
+                .map(line => this.parseStackFrame(line.trim()))
+                .filter(Boolean)
+                .slice(0, 50);
         }
 
-        setupDownloadTracking() {
-            document.addEventListener('click', (e) => {
-                const link = e.target.closest('a');
-                if (!link) return;
+        parseStackFrame(line) {
+            let match = /^at (?:async )?(?:(.+?) \()?(.+?):(\d+):(\d+)\)?$/.exec(line);
+            if (match) {
+                let [, fn, file, lineno, colno] = match;
 
-                const href = link.href;
-                const downloadExtensions = ['.pdf', '.doc', '.docx', '.zip', '.rar', '.exe', '.dmg'];
-                
-                if (downloadExtensions.some(ext => href.toLowerCase().includes(ext))) {
-                    this.trackDownload(href, link);
+                // "at eval (eval at fn (file:1:2), <anonymous>:3:4)" points at the code that called eval
+                const evalOrigin = /\((\S+?):(\d+):(\d+)\)/.exec(file);
+                if (file.startsWith('eval at') && evalOrigin) {
+                    [, file, lineno, colno] = evalOrigin;
                 }
-            });
+
+                return this.createStackFrame(fn, file, lineno, colno);
+            }
+
+            match = /^(.*?)@(.+?):(\d+):(\d+)$/.exec(line);
+            if (match) {
+                // Firefox marks eval'd code as "file line 12 > eval"
+                return this.createStackFrame(match[1], match[2].replace(/ line \d+ > (eval|Function).*$/, ''), match[3], match[4]);
+            }
+
+            // Older Safari leaves out the @ for anonymous frames
+            match = /^([a-z][\w+.-]*:\/\/.+?):(\d+):(\d+)$/i.exec(line);
+            if (match) {
+                return this.createStackFrame(null, match[1], match[2], match[3]);
+            }
+
+            return null;
         }
 
-        trackDownload(url, element) {
-            const event = {
-                type: 'download',
-                download: {
-                    url: url,
-                    text: element.textContent,
-                    extension: url.split('.').pop()
-                },
-                timestamp: Date.now(),
-                fingerprint: this.fingerprintLabel,
-                sessionId: this.sessionId,
-                page: window.location.pathname
+        createStackFrame(fn, file, line, column) {
+            return {
+                function: fn || '<anonymous>',
+                file: file,
+                line: Number(line),
+                column: Number(column),
+                inApp: this.isInAppFrame(file)
             };
+        }
 
-            this.sendEvent(event);
+        isInAppFrame(file) {
+            if (/^(chrome|moz|safari|safari-web|ms-browser)-extension:\/\//.test(file)) return false;
+
+            const path = file.split(/[?#]/)[0];
+            if (SCRIPT_URL && path === SCRIPT_URL.split(/[?#]/)[0]) return false;
+            return !/\/analytik(\.min)?\.js$/.test(path);
         }
 
-        setupMouseTracking() {
-            let mouseData = { moves: 0, clicks: 0, lastMove: 0 };
-            
-            document.addEventListener('mousemove', (e) => {
-                mouseData.moves++;
-                mouseData.lastMove = Date.now();
-                
-                // Sample mouse movements (every 100th move)
-                if (mouseData.moves % 100 === 0) {
-                    this.trackMouseMovement(e, mouseData);
-                }
-            });
+        formatStackFrames(frames, limit = 5) {
+            return frames
+                .filter(frame => frame.inApp)
+                .slice(0, limit)
+                .map(frame => `\`${frame.function}\` ${this.sanitizeUrl(frame.file)}:${frame.line}:${frame.column}`)
+                .join('\n');
         }
 
-        trackMouseMovement(event, data) {
-            const mouseEvent = {
-                type: 'mouse_movement',
-                mouse: {
-                    x: event.clientX,
-                    y: event.clientY,
-                    moves: data.moves,
-                    viewport: `${window.innerWidth}x${window.innerHeight}`
-                },
-                timestamp: Date.now(),
-                fingerprint: this.fingerprintLabel,
-                sessionId: this.sessionId,
-                page: window.location.pathname
-            };
+        // Groups are kept per session in sessionStorage so repeats after a reload still count as repeats
+        loadErrorGroups() {
+            if (!this.errorGroups) {
+                try {
+                    const stored = JSON.parse(sessionStorage.getItem('da_error_groups') || 'null');
+                    if (stored && stored.sessionId === this.sessionId) this.errorGroups = stored.groups;
+                } catch (e) {
+                    // Storage not available
+                }
+                this.errorGroups = this.errorGroups || {};
+            }
+            return this.errorGroups;
+        }
 
-            this.sendEvent(mouseEvent);
+        storeErrorGroups() {
+            try {
+                sessionStorage.setItem('da_error_groups', JSON.stringify({ sessionId: this.sessionId, groups: this.errorGroups }));
+            } catch (e) {
+                // Storage not available
+            }
         }
 
-        trackFormInteraction(event) {
-            const field = event.target;
-            const interaction = {
-                type: 'form_interaction',
-                field: {
-                    type: field.type,
-                    name: field.name,
-                    id: field.id,
-                    value: this.config.maskPII && this.isPII(field.name) ? '[masked]' : field.value?.substring(0, 50)
-                },
-                timestamp: Date.now(),
-                fingerprint: this.fingerprintLabel,
-                sessionId: this.sessionId,
-                page: window.location.pathname
-            };
+        flushErrorGroups() {
+            clearTimeout(this.errorGroupTimer);
+            this.errorGroupTimer = null;
 
-            this.sendEvent(interaction);
-        }
+            const groups = this.loadErrorGroups();
+            Object.entries(groups).forEach(([signature, group]) => {
+                if (group.pending === 0) return;
 
-        trackPromiseRejection(event) {
-            const errorData = {
-                type: 'promise_rejection',
-                error: {
-                    reason: event.reason?.toString().substring(0, 200),
-                    stack: event.reason?.stack?.substring(0, 500)
-                },
-                timestamp: Date.now(),
-                fingerprint: this.fingerprintLabel,
-                sessionId: this.sessionId,
-                page: window.location.pathname
-            };
+                // Queued rather than sent, so an update flushed on pagehide still goes out by beacon
+                this.sendEvent({
+                    type: 'error_group',
+                    group: { ...group, signature, window: this.config.errorGroupInterval },
+                    timestamp: Date.now(),
+                    fingerprint: this.fingerprintLabel,
+                    sessionId: this.sessionId,
+                    page: window.location.pathname
+                });
+                group.pending = 0;
+            });
 
-            this.sendEvent(errorData, true);
+            this.storeErrorGroups();
         }
 
         trackPageVisibility() {
@@ -2310,16 +5626,8 @@
                 page: window.location.pathname
             };
 
-            // Use sendBeacon for reliable delivery on page unload
-            if (navigator.sendBeacon && this.config.webhook) {
-                const embed = this.createDiscordEmbed(event);
-                const payload = {
-                    username: this.config.discordBotName,
-                    embeds: [embed]
-                };
-                
-                navigator.sendBeacon(this.config.webhook, JSON.stringify(payload));
-            }
+            // Use the exit delivery path so the event survives the page unloading
+            this.beaconEvent(event);
         }
 
         startBehaviorTracking() {
@@ -2414,6 +5722,350 @@
             this.config = { ...this.config, ...newConfig };
         }
 
+        // ===== E-COMMERCE =====
+        // Each method takes GA4-style params: { items, currency, value, ... }. Items are { id, name, price, quantity, category, variant }.
+        viewItem(params = {}) {
+            this.trackEcommerceEvent('view_item', params);
+        }
+
+        addToCart(params = {}) {
+            if (!this.ecommerceEnabled('add_to_cart')) return;
+
+            const cart = this.getCartState();
+            const items = this.normalizeItems(params.items);
+
+            items.forEach(item => {
+                const existing = cart.items.find(entry => entry.id === item.id && entry.variant === item.variant);
+                if (existing) {
+                    existing.quantity += item.quantity;
+                } else {
+                    cart.items.push({ ...item });
+                }
+            });
+            if (params.currency) cart.currency = params.currency;
+
+            this.storeCart();
+            this.trackEcommerceEvent('add_to_cart', { ...params, items });
+        }
+
+        // Items without a quantity are removed entirely
+        removeFromCart(params = {}) {
+            if (!this.ecommerceEnabled('remove_from_cart')) return;
+
+            const cart = this.getCartState();
+            const items = [].concat(params.items).filter(Boolean).map(requested => {
+                const [item] = this.normalizeItems([requested]);
+                const existing = cart.items.find(entry => entry.id === item.id && entry.variant === item.variant);
+                const quantity = requested.quantity !== undefined ? item.quantity : (existing ? existing.quantity : 1);
+
+                if (existing) {
+                    existing.quantity -= quantity;
+                    if (existing.quantity <= 0) cart.items.splice(cart.items.indexOf(existing), 1);
+                }
+
+                // Callers often pass just the ID, the cart knows the name and price
+                return { ...item, name: existing ? existing.name : item.name, price: item.price || (existing ? existing.price : 0), quantity };
+            });
+
+            this.storeCart();
+            this.trackEcommerceEvent('remove_from_cart', { ...params, items });
+        }
+
+        beginCheckout(params = {}) {
+            this.trackEcommerceEvent('begin_checkout', this.withCartItems(params));
+        }
+
+        addPaymentInfo(params = {}) {
+            this.trackEcommerceEvent('add_payment_info', this.withCartItems(params));
+        }
+
+        // The value defaults to the items plus tax and shipping. A purchase empties the cart.
+        purchase(params = {}) {
+            if (!this.ecommerceEnabled('purchase')) return;
+
+            const order = this.withCartItems(params);
+            this.trackEcommerceEvent('purchase', order);
+
+            this.cart = { items: [], currency: order.currency || this.getCartState().currency };
+            this.storeCart();
+        }
+
+        // Without items it's a full refund of the given value
+        refund(params = {}) {
+            this.trackEcommerceEvent('refund', params);
+        }
+
+        getCart() {
+            const cart = this.getCartState();
+            return { ...this.getCartTotals(), currency: cart.currency, items: cart.items.map(item => ({ ...item })) };
+        }
+
+        // The cart lives in sessionStorage so it carries across page loads in the same tab
+        getCartState() {
+            if (!this.cart) {
+                this.cart = { items: [], currency: null };
+
+                try {
+                    const stored = JSON.parse(sessionStorage.getItem('da_cart') || 'null');
+                    if (stored && Array.isArray(stored.items)) this.cart = stored;
+                } catch (e) {
+                    // Storage not available
+                }
+            }
+
+            return this.cart;
+        }
+
+        storeCart() {
+            try {
+                sessionStorage.setItem('da_cart', JSON.stringify(this.cart));
+            } catch (e) {
+                // Storage not available
+            }
+
+            this.updateCartActivity(true);
+        }
+
+        getCartTotals() {
+            const cart = this.getCartState();
+            return {
+                itemCount: cart.items.reduce((sum, item) => sum + item.quantity, 0),
+                value: this.roundMoney(cart.items.reduce((sum, item) => sum + item.price * item.quantity, 0))
+            };
+        }
+
+        // Checkout steps usually happen on pages that don't know the cart's contents, so they default to it
+        withCartItems(params) {
+            if (params.items) return params;
+
+            const cart = this.getCartState();
+            return { ...params, items: cart.items, currency: params.currency || cart.currency };
+        }
+
+        normalizeItems(items) {
+            return (Array.isArray(items) ? items : [items]).filter(Boolean).map(item => ({
+                id: String(item.id ?? item.sku ?? item.name),
+                name: item.name || String(item.id ?? item.sku ?? 'Item'),
+                price: Number(item.price) || 0,
+                quantity: Math.max(parseInt(item.quantity, 10) || 1, 1),
+                category: item.category || null,
+                variant: item.variant || null
+            }));
+        }
+
+        roundMoney(amount) {
+            return Math.round(amount * 100) / 100;
+        }
+
+        // The cart methods check this before touching the cart, so it stays empty while tracking is off
+        ecommerceEnabled(type) {
+            if (!this.config.trackEcommerce) {
+                this.log(`trackEcommerce is off, ${type} not sent`, 'warn');
+                return false;
+            }
+            return true;
+        }
+
+        trackEcommerceEvent(type, params) {
+            if (!this.ecommerceEnabled(type)) return;
+
+            const items = this.normalizeItems(params.items);
+            const subtotal = this.roundMoney(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+            const tax = Number(params.tax) || 0;
+            const shipping = Number(params.shipping) || 0;
+
+            const ecommerce = {
+                currency: params.currency || this.getCartState().currency || this.config.ecommerceCurrency,
+                value: params.value !== undefined ? Number(params.value) : this.roundMoney(subtotal + tax + shipping),
+                subtotal: subtotal,
+                items: items
+            };
+
+            if (params.transactionId) ecommerce.transactionId = String(params.transactionId);
+            if (params.tax !== undefined) ecommerce.tax = tax;
+            if (params.shipping !== undefined) ecommerce.shipping = shipping;
+            if (params.coupon) ecommerce.coupon = params.coupon;
+            if (params.paymentType) ecommerce.paymentType = params.paymentType;
+
+            this.sendEvent({
+                type: type,
+                ecommerce: ecommerce,
+                cart: this.getCartTotals(),
+                timestamp: Date.now(),
+                fingerprint: this.fingerprintLabel,
+                sessionId: this.sessionId,
+                page: window.location.pathname,
+                location: this.userLocation
+            });
+        }
+
+        // Cart Abandonment
+        // A non-empty cart is mirrored to localStorage with its last activity. It's abandoned once it sits idle for
+        // cartAbandonmentTimeout, noticed by a timer while the tab is open or on the next visit after it was closed.
+        initCartAbandonment() {
+            this.checkCartAbandonment();
+            this.updateCartActivity();
+
+            // Browsing keeps the cart alive, recorded at most once a minute
+            let lastActivity = 0;
+            ['click', 'keydown', 'scroll'].forEach(type => {
+                document.addEventListener(type, () => {
+                    if (Date.now() - lastActivity < 60000) return;
+                    lastActivity = Date.now();
+                    this.updateCartActivity();
+                }, { passive: true, capture: true });
+            });
+        }
+
+        loadCartActivity() {
+            try {
+                return JSON.parse(localStorage.getItem('da_cart_activity') || 'null');
+            } catch (e) {
+                return null;
+            }
+        }
+
+        storeCartActivity(record) {
+            try {
+                if (record) {
+                    localStorage.setItem('da_cart_activity', JSON.stringify(record));
+                } else {
+                    localStorage.removeItem('da_cart_activity');
+                }
+            } catch (e) {
+                // Storage not available
+            }
+        }
+
+        // A changed cart can be abandoned again. Other tabs may hold the cart, so an empty one here only clears it when it changed.
+        updateCartActivity(changed = false) {
+            if (!this.config.trackEcommerce || !this.config.cartAbandonment) return;
+
+            const cart = this.getCartState();
+            if (cart.items.length === 0) {
+                if (changed) this.storeCartActivity(null);
+                return;
+            }
+
+            const stored = this.loadCartActivity();
+            this.storeCartActivity({
+                items: cart.items,
+                currency: cart.currency,
+                lastPage: window.location.pathname,
+                lastActivity: Date.now(),
+                reported: changed ? false : !!(stored && stored.reported)
+            });
+            this.scheduleCartAbandonment();
+        }
+
+        scheduleCartAbandonment() {
+            if (this.cartAbandonmentTimer) return;
+
+            const record = this.loadCartActivity();
+            if (!record || record.reported) return;
+
+            const wait = Math.max(record.lastActivity + this.config.cartAbandonmentTimeout - Date.now(), 0);
+            this.cartAbandonmentTimer = setTimeout(() => {
+                this.cartAbandonmentTimer = null;
+                this.checkCartAbandonment();
+            }, wait);
+        }
+
+        // Re-reads storage every time, since activity in another tab can keep the cart alive or report it first
+        checkCartAbandonment() {
+            const record = this.loadCartActivity();
+            if (!record || record.reported || !Array.isArray(record.items) || record.items.length === 0) return;
+
+            if (Date.now() - record.lastActivity < this.config.cartAbandonmentTimeout) {
+                this.scheduleCartAbandonment();
+                return;
+            }
+
+            this.storeCartActivity({ ...record, reported: true });
+
+            // This tab's cart is gone once the tab that held it was closed
+            const reason = this.getCartState().items.length > 0 ? 'timeout' : 'session_ended';
+            const items = this.normalizeItems(record.items);
+            const value = this.roundMoney(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+
+            this.sendEvent({
+                type: 'cart_abandoned',
+                ecommerce: {
+                    currency: record.currency || this.config.ecommerceCurrency,
+                    value: value,
+                    subtotal: value,
+                    items: items
+                },
+                cart: {
+                    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+                    value: value
+                },
+                lastPage: record.lastPage,
+                lastActivity: record.lastActivity,
+                reason: reason,
+                timestamp: Date.now(),
+                fingerprint: this.fingerprintLabel,
+                sessionId: this.sessionId,
+                page: window.location.pathname
+            });
+        }
+
+        formatMoney(amount, currency, withCode = true) {
+            try {
+                const formatted = new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+                return withCode ? `${formatted} ${currency}` : formatted;
+            } catch (e) {
+                return `${Number(amount).toFixed(2)} ${currency}`;
+            }
+        }
+
+        // Order totals and one line per item, dropping the last items until the list fits a field
+        getEcommerceFields(eventData) {
+            const { ecommerce, cart } = eventData;
+            const money = amount => this.formatMoney(amount, ecommerce.currency);
+            const fields = [
+                { name: eventData.type === 'refund' ? "💸 Refunded" : "💰 Value", value: money(ecommerce.value), inline: true }
+            ];
+
+            if (ecommerce.transactionId) fields.push({ name: "🧾 Order", value: ecommerce.transactionId, inline: true });
+            if (ecommerce.paymentType) fields.push({ name: "💳 Payment", value: ecommerce.paymentType, inline: true });
+
+            if (ecommerce.tax !== undefined || ecommerce.shipping !== undefined) {
+                fields.push({ name: "🧮 Subtotal", value: money(ecommerce.subtotal), inline: true });
+                if (ecommerce.tax !== undefined) fields.push({ name: "🏛️ Tax", value: money(ecommerce.tax), inline: true });
+                if (ecommerce.shipping !== undefined) fields.push({ name: "🚚 Shipping", value: money(ecommerce.shipping), inline: true });
+            }
+            if (ecommerce.coupon) fields.push({ name: "🏷️ Coupon", value: ecommerce.coupon, inline: true });
+
+            if (ecommerce.items.length > 0) {
+                const lines = ecommerce.items.map(item => {
+                    const variant = item.variant ? ` (${item.variant})` : '';
+                    return `${item.quantity} × ${this.truncateText(item.name, 60)}${variant}: ${this.formatMoney(item.price * item.quantity, ecommerce.currency, false)}`;
+                });
+
+                let shown = lines.length;
+                const render = () => lines.slice(0, shown).join('\n') + (shown < lines.length ? `\n…and ${lines.length - shown} more` : '');
+                while (shown > 1 && render().length > DISCORD_LIMITS.fieldValue) shown--;
+
+                fields.push({ name: "📦 Items", value: render(), inline: false });
+            }
+
+            if (eventData.type === 'cart_abandoned') {
+                const reasons = { timeout: 'Idle timeout', session_ended: 'Session ended' };
+                fields.push(
+                    { name: "🛒 Cart", value: `${cart.itemCount} item${cart.itemCount === 1 ? '' : 's'}`, inline: true },
+                    { name: "📄 Last Page", value: eventData.lastPage || 'Unknown', inline: true },
+                    { name: "⏳ Idle", value: `${this.formatDuration(eventData.timestamp - eventData.lastActivity)} (${reasons[eventData.reason] || eventData.reason})`, inline: true }
+                );
+            }
+
+            if (['add_to_cart', 'remove_from_cart'].includes(eventData.type)) {
+                fields.push({ name: "🛒 Cart", value: `${cart.itemCount} item${cart.itemCount === 1 ? '' : 's'} · ${money(cart.value)}`, inline: true });
+            }
+
+            return fields;
+        }
+
         // ===== A/B TESTING SYSTEM =====
         initABTesting() {
             if (!this.config.enableABTesting) return;
@@ -3026,11 +6678,18 @@
                 'h1', 'h2', 'h3', 'p', '.paragraph'
             ];
             
-            contentSelectors.forEach(selector => {
-                document.querySelectorAll(selector).forEach(el => {
-                    observer.observe(el);
+            const observeAll = () => {
+                contentSelectors.forEach(selector => {
+                    document.querySelectorAll(selector).forEach(el => {
+                        observer.observe(el);
+                    });
                 });
-            });
+            };
+
+            observeAll();
+
+            // The router swaps the content on a route change, observing an element twice is a no-op
+            this.routeResetters.push(observeAll);
         }
         
         trackContentView(element) {
@@ -3049,6 +6708,7 @@
         
         trackReadingProgress() {
             let maxScroll = 0;
+            this.routeResetters.push(() => { maxScroll = 0; });
             
             window.addEventListener('scroll', () => {
                 const scrollPercent = Math.round(
@@ -3073,8 +6733,9 @@
         }
         
         trackTimeOnContent() {
-            const startTime = Date.now();
+            let startTime = Date.now();
             let lastActive = startTime;
+            let timers = [];
             
             // Track active time (when user is actively engaging)
             const updateActiveTime = () => {
@@ -3087,8 +6748,8 @@
             
             // Send engagement milestones
             const milestones = [30, 60, 120, 300]; // seconds
-            milestones.forEach(milestone => {
-                setTimeout(() => {
+            const scheduleMilestones = () => milestones.map(milestone => {
+                return setTimeout(() => {
                     const now = Date.now();
                     const activeTime = lastActive - startTime;
                     
@@ -3104,6 +6765,16 @@
                     }
                 }, milestone * 1000);
             });
+
+            timers = scheduleMilestones();
+
+            // Each route gets its own time on content and milestones
+            this.routeResetters.push(() => {
+                timers.forEach(timer => clearTimeout(timer));
+                startTime = Date.now();
+                lastActive = startTime;
+                timers = scheduleMilestones();
+            });
         }
         
         // ===== NETWORK FINGERPRINTING =====
@@ -3385,11 +7056,11 @@
             this.trackJourneyStep();
         }
         
-        trackJourneyStep() {
+        trackJourneyStep(referrer = document.referrer) {
             const step = {
                 url: window.location.href,
                 title: document.title,
-                referrer: document.referrer,
+                referrer: referrer,
                 timestamp: Date.now(),
                 sessionId: this.sessionId,
                 fingerprint: this.fingerprintLabel
@@ -3535,6 +7206,12 @@
         // Configuration Management
         setConfig(newConfig) {
             this.config = { ...this.config, ...newConfig };
+
+            // Sinks are built once at startup, so changing where events go has to rebuild them
+            if (['webhook', 'sinks', 'routes'].some(key => key in newConfig)) {
+                this.refreshSinks();
+            }
+
             this.log('Configuration updated', 'info');
         }
         
@@ -3753,6 +7430,7 @@
         getHealth() {
             return {
                 queueSize: this.eventQueue.length,
+                deadLetters: this.deadLetters.length,
                 errors: this.errorCount || 0,
                 lastEventSent: this.lastEventTime || null,
                 isOnline: this.isOnline,